@@ -0,0 +1,106 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { schema } from './schema.js';
+
+/**
+ * Reads persik.config.js from the project root, fills in the defaults of schema.js
+ * and validates the result. Every problem is reported at once:
+ *
+ *   persik.config.js: 2 invalid settings
+ *     server.port: expected a number, got "3000"
+ *     sprite.mod: unknown setting
+ *
+ * `--env <name>` applies the `env.<name>` section of the file on top:
+ *   gulp build --build --env staging
+ *
+ * Groups are merged key by key, a setting is replaced as a whole.
+ */
+
+const CONFIG_FILE = 'persik.config.js';
+
+const TYPES = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  boolean: (v) => typeof v === 'boolean',
+  object: (v) => isPlainObject(v),
+  array: (v) => Array.isArray(v),
+  'string[]': (v) => Array.isArray(v) && v.every((item) => typeof item === 'string'),
+  'number[]': (v) => Array.isArray(v) && v.every((item) => typeof item === 'number' && Number.isFinite(item)),
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const isSetting = (node) => typeof node.type === 'string';
+
+const defaultsOf = (node) => (isSetting(node)
+  ? structuredClone(node.default)
+  : Object.fromEntries(Object.entries(node).map(([key, child]) => [key, defaultsOf(child)])));
+
+const merge = (node, base, override) => {
+  if (override === undefined) return base;
+  if (isSetting(node) || !isPlainObject(override)) return override;
+
+  const out = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    out[key] = node[key] ? merge(node[key], base[key], value) : value;
+  });
+  return out;
+};
+
+const validate = (node, value, at, config, errors) => {
+  if (isSetting(node)) {
+    const got = JSON.stringify(value);
+    if (!TYPES[node.type](value)) {
+      errors.push(`${at}: expected ${/^[aeiou]/.test(node.type) ? 'an' : 'a'} ${node.type}, got ${got}`);
+    } else if (node.values && !node.values.includes(value)) {
+      errors.push(`${at}: expected one of ${node.values.join(', ')}, got ${got}`);
+    } else {
+      const problem = node.check?.(value, config);
+      if (problem) errors.push(`${at}: ${problem}, got ${got}`);
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push(`${at}: expected a group of settings, got ${JSON.stringify(value)}`);
+    return;
+  }
+  Object.keys(value)
+    .filter((key) => !(key in node))
+    .forEach((key) => errors.push(`${at ? `${at}.` : ''}${key}: unknown setting`));
+  Object.entries(node).forEach(([key, child]) => validate(child, value[key], at ? `${at}.${key}` : key, config, errors));
+};
+
+/** `--env staging` or `--env=staging` */
+const envFlag = () => {
+  const index = process.argv.indexOf('--env');
+  if (index !== -1) return process.argv[index + 1];
+  return process.argv.find((arg) => arg.startsWith('--env='))?.slice('--env='.length);
+};
+
+/**
+ * @returns {Promise<Object>} settings shaped like schema.js plus `env`, the selected environment or null
+ */
+export const loadConfig = async () => {
+  const file = path.resolve(CONFIG_FILE);
+  const { env: envs = {}, ...own } = fs.existsSync(file)
+    ? (await import(pathToFileURL(file).href)).default ?? {}
+    : {};
+
+  const env = envFlag() ?? null;
+  if (env !== null && !isPlainObject(envs[env])) {
+    const known = Object.keys(envs);
+    throw new Error(`${CONFIG_FILE}: no "env.${env}" section for --env ${env}${known.length ? `, known: ${known.join(', ')}` : ''}`);
+  }
+
+  const config = merge(schema, merge(schema, defaultsOf(schema), own), env === null ? undefined : envs[env]);
+
+  const errors = [];
+  validate(schema, config, '', config, errors);
+  if (errors.length) {
+    throw new Error(`${CONFIG_FILE}${env === null ? '' : ` (env ${env})`}: ${errors.length} invalid setting${errors.length > 1 ? 's' : ''}\n  ${errors.join('\n  ')}`);
+  }
+
+  return { ...config, env };
+};
@@ -1,19 +1,37 @@
-const srcFolder = "./src";
-const buildFolder = "./app";
-
-export const paths = {
+/**
+ * Every path the tasks use (`app.paths`), derived from the `paths` settings of persik.config.js.
+ * @param {{src: string, build: string, cache: string}} folders
+ */
+export const createPaths = ({ src: srcFolder, build: buildFolder, cache: cacheFolder }) => ({
   base: {
     src: srcFolder,
     build: buildFolder,
   },
   srcSvg: `${srcFolder}/img/svg/**.svg`,
+  srcSvgFolder: `${srcFolder}/img/svg`,
   srcImgFolder: `${srcFolder}/img`,
   buildImgFolder: `${buildFolder}/img`,
-  srcScss: [`${srcFolder}/scss/**/*.scss`, "!src/scss/shadow/**/*"],
+  srcContentImgFolder: `${srcFolder}/img/content`,
+  buildContentImgFolder: `${buildFolder}/img/content`,
+  imageCacheFolder: `${cacheFolder}/images`,
+  srcScssFolder: `${srcFolder}/scss`,
+  srcTokens: `${srcFolder}/tokens.json`,
+  srcVarsScss: `${srcFolder}/scss/_vars.scss`,
+  srcBreakpointsScss: `${srcFolder}/scss/_breakpoints.scss`,
+  srcScss: [`${srcFolder}/scss/**/*.scss`, `!${srcFolder}/scss/shadow/**/*`],
   buildCssFolder: `${buildFolder}/css`,
+  srcFontsFolder: `${srcFolder}/fonts`,
+  buildFontsFolder: `${buildFolder}/fonts`,
   srcFullJs: `${srcFolder}/js/**/*.js`,
   srcMainJs: `${srcFolder}/js/main.js`,
+  srcTokensJs: `${srcFolder}/js/tokens.js`,
+  srcPagesJsFolder: `${srcFolder}/js/pages`,
   buildJsFolder: `${buildFolder}/js`,
   srcPartialsFolder: `${srcFolder}/partials`,
+  srcDataFolder: `${srcFolder}/data`,
+  srcLocalesFolder: `${srcFolder}/locales`,
+  srcMocksFolder: `${srcFolder}/mocks`,
   resourcesFolder: `${srcFolder}/resources`,
-};
+  srcServiceWorker: `${srcFolder}/sw.js`,
+  sizeReport: `${cacheFolder}/size-report.json`,
+});
@@ -0,0 +1,235 @@
+/**
+ * Settings of persik.config.js: type, default and meaning of every key.
+ *
+ * A setting is `{ type, default, values?, check? }`:
+ * - type: "string", "number", "boolean", "object", "string[]", "number[]" or "array";
+ * - values: allowed values;
+ * - check(value, config): extra rule, returns the error text or nothing.
+ * Any other object is a group of settings. Everything is optional in persik.config.js,
+ * missing keys take the defaults below.
+ */
+
+const isSize = (size) => (typeof size === "number" && size >= 0) || /^\d+(\.\d+)?\s*(B|kB|MB)$/.test(String(size).trim());
+
+const isPair = (range) => Array.isArray(range)
+  && range.length === 2
+  && range.every(Number.isInteger)
+  && range[0] <= range[1];
+
+export const schema = {
+  // Folders the tasks work with; every path in `app.paths` is derived from them.
+  paths: {
+    src: { type: "string", default: "./src" },
+    build: { type: "string", default: "./app" },
+    // On-disk caches (image optimizers), safe to delete.
+    cache: { type: "string", default: "./node_modules/.cache" },
+  },
+
+  // Browserslist queries of autoprefixer: styles, stylesBackend and CSS imported from JS.
+  browsers: { type: "string[]", default: ["last 5 versions"] },
+
+  scripts: {
+    // `targets` of @babel/preset-env.
+    targets: { type: "string", default: "defaults" },
+    // Packages of the entries bundled into the shared js/vendor.js (lazy chunks keep theirs);
+    // [] keeps them in the chunks that use them.
+    vendor: { type: "string[]", default: ["swiper", "lenis", "inputmask"] },
+  },
+
+  // BrowserSync dev server of the default task.
+  server: {
+    port: {
+      type: "number",
+      default: 3000,
+      check: (port) => (Number.isInteger(port) && port > 0 && port < 65536 ? undefined : "expected a port from 1 to 65535"),
+    },
+  },
+
+  // Public origin used by sitemap.xml, robots.txt and hreflang links, without a trailing slash.
+  site: {
+    baseUrl: {
+      type: "string",
+      default: "https://example.com",
+      check: (url) => (/^https?:\/\/[^/]/.test(url) ? undefined : "expected an absolute http(s) URL"),
+    },
+  },
+
+  // Page builds (htmlInclude): the default locale goes to app/, every other one to app/<locale>/.
+  // Locale entry: { lang: <html lang> and hreflang, typograf: gulp-typograf locales }.
+  // Dictionaries live in src/locales/<locale>.json.
+  i18n: {
+    defaultLocale: {
+      type: "string",
+      default: "ru",
+      check: (locale, config) => {
+        const locales = Object.keys(Object(config.i18n.locales));
+        return locales.includes(locale) ? undefined : `expected one of i18n.locales: ${locales.join(", ")}`;
+      },
+    },
+    locales: {
+      type: "object",
+      default: {
+        ru: { lang: "ru", typograf: ["ru", "en-US"] },
+      },
+      check: (locales) => Object.entries(locales)
+        .filter(([, l]) => typeof l?.lang !== "string" || !Array.isArray(l.typograf))
+        .map(([code]) => `${code}: expected { lang: string, typograf: string[] }`)
+        .join("; ") || undefined,
+    },
+  },
+
+  // Responsive images (responsiveImages, ui/picture.html).
+  images: {
+    // Variants per raster in src/img/content; wider than the original are skipped, the original width is always added.
+    widths: { type: "number[]", default: [480, 768, 1200, 1920] },
+    // Output formats in <source> order with their sharp encoder options.
+    formats: {
+      type: "object",
+      default: {
+        avif: { quality: 50, effort: 2 },
+        webp: { quality: 75 },
+      },
+    },
+    // `sizes` of ui/picture.html when the include does not pass one.
+    sizes: { type: "string", default: "100vw" },
+    // Manifest file name in app/img.
+    manifest: { type: "string", default: "images.json" },
+  },
+
+  // Font pipeline (fonts).
+  fonts: {
+    // Keep only the glyphs of `ranges` and declare them as unicode-range; false keeps every glyph.
+    subset: { type: "boolean", default: false },
+    // [from, to] code point pairs, Latin + Cyrillic by default.
+    ranges: {
+      type: "array",
+      default: [
+        [0x0000, 0x00ff], [0x0131, 0x0131], [0x0152, 0x0153], [0x02bb, 0x02bc],
+        [0x02c6, 0x02c6], [0x02da, 0x02da], [0x02dc, 0x02dc], [0x2000, 0x206f],
+        [0x2074, 0x2074], [0x20ac, 0x20ac], [0x20bd, 0x20bd], [0x2116, 0x2116],
+        [0x2122, 0x2122], [0x2191, 0x2191], [0x2193, 0x2193], [0x2212, 0x2212],
+        [0x2215, 0x2215], [0xfeff, 0xfeff], [0xfffd, 0xfffd],
+        [0x0400, 0x045f], [0x0490, 0x0491], [0x04b0, 0x04b1],
+      ],
+      check: (ranges) => (ranges.every(isPair) ? undefined : "expected [from, to] code point pairs"),
+    },
+    // File names without extension, preloaded through `@fontPreload` in partials/head.html.
+    preload: { type: "string[]", default: [] },
+  },
+
+  // SVG sprite (svgSprites): <symbol> per icon or a stack of <svg> views.
+  sprite: {
+    mode: { type: "string", default: "symbol", values: ["symbol", "stack"] },
+  },
+
+  // Mock API of the dev server (gulp/helpers/mock-api.js), routes from src/mocks.
+  mocks: {
+    enabled: { type: "boolean", default: true },
+    // Delay of every answer, [min, max] ms.
+    latency: {
+      type: "number[]",
+      default: [0, 0],
+      check: (range) => (range.length === 2 && range[0] >= 0 && range[0] <= range[1] ? undefined : "expected [min, max] ms"),
+    },
+    // Share of requests failed on purpose, 0..1.
+    failRate: {
+      type: "number",
+      default: 0,
+      check: (rate) => (rate >= 0 && rate <= 1 ? undefined : "expected a number from 0 to 1"),
+    },
+    // Status of the failed requests; 0 drops the connection instead (a network error).
+    failStatus: {
+      type: "number",
+      default: 503,
+      check: (status) => (status === 0 || (status >= 400 && status <= 599) ? undefined : "expected 0 or an HTTP error status"),
+    },
+  },
+
+  // Backend build (backend, backendWatch): assets manifest for CMS templates.
+  backend: {
+    // File name of the manifest in the build folder.
+    manifest: { type: "string", default: "assets-manifest.json" },
+    // Theme folder the assets and the manifest are copied to after each backend build; "" copies nothing.
+    themeDir: { type: "string", default: "" },
+    // Build subfolders copied to themeDir, each replaced as a whole.
+    sync: { type: "string[]", default: ["css", "js", "fonts", "img"] },
+  },
+
+  // HTML audit of the built pages (audit, the last step of build).
+  audit: {
+    // Lowest severity that fails the task; "off" only reports.
+    failOn: { type: "string", default: "error", values: ["error", "warning", "off"] },
+    // Severity per rule, e.g. { "label-for": "error", "html-lang": "off" }; rules are listed in gulp/tasks/audit.js.
+    rules: {
+      type: "object",
+      default: {},
+      check: (rules) => Object.entries(rules)
+        .filter(([, severity]) => !["error", "warning", "off"].includes(severity))
+        .map(([rule]) => `${rule}: expected "error", "warning" or "off"`)
+        .join("; ") || undefined,
+    },
+  },
+
+  // Reference check of the build (checkLinks, in build and cache).
+  links: {
+    // Globs of build files not to check, e.g. assets added on the server: ["video/**"].
+    ignore: { type: "string[]", default: [] },
+  },
+
+  // Size report of the build (sizeReport, after audit).
+  sizes: {
+    // Size the budgets and the Δ column use.
+    compression: { type: "string", default: "gzip", values: ["raw", "gzip", "brotli"] },
+    // Limit per file or entry, by glob of the report names: "js/*.js", "entry:main", "img/**".
+    // A size ("40 kB", "1.5 MB", bytes) fails the build, { warning, error } sets either level.
+    budgets: {
+      type: "object",
+      default: {},
+      check: (budgets) => Object.entries(budgets)
+        .filter(([, budget]) => (typeof budget === "object" && budget !== null
+          ? !Object.keys(budget).length || !Object.entries(budget).every(([level, size]) => ["warning", "error"].includes(level) && isSize(size))
+          : !isSize(budget)))
+        .map(([glob]) => `${glob}: expected a size like "40 kB" or { warning, error } sizes`)
+        .join("; ") || undefined,
+    },
+  },
+
+  // Release archives (zip, release).
+  release: {
+    // Folder of the archives, outside the build so they are not packed again.
+    dir: { type: "string", default: "./release" },
+    // Globs relative to the build folder left out of the archive.
+    exclude: {
+      type: "string[]",
+      default: [
+        "**/*.map",
+        "**/*.zip",
+        "js/entrypoints.json",
+        "js/webpack-manifest.json",
+        "css/css-manifest.json",
+        "img/icons.json",
+        "img/images.json",
+      ],
+    },
+    // Builds `release` packs, one archive each: "frontend" (build), "backend" (backend).
+    targets: {
+      type: "string[]",
+      default: ["frontend"],
+      check: (targets) => (targets.length && targets.every((target) => ["frontend", "backend"].includes(target))
+        ? undefined
+        : 'expected "frontend" and/or "backend"'),
+    },
+  },
+
+  // Service worker (serviceWorker, the last step of cache): app/sw.js from src/sw.js.
+  serviceWorker: {
+    enabled: { type: "boolean", default: false },
+    // Prefix of its cache names, unique per origin.
+    name: { type: "string", default: "persik" },
+  },
+
+  // Critical CSS (criticalCss): above-the-fold roots unless the page sets data-critical.
+  critical: {
+    roots: { type: "string", default: ".header, .hero" },
+  },
+};
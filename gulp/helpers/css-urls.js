@@ -0,0 +1,37 @@
+import path from 'node:path';
+import { Transform } from 'node:stream';
+
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+const isRelative = (url) => !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url);
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+/**
+ * Rewrites the relative url()s of `css` written for a stylesheet in `fromDir` so they
+ * resolve from `toDir`: "../fonts/a.woff2" of css/main.css inlined into a page of app/
+ * becomes "fonts/a.woff2".
+ */
+export const rebaseUrls = (css, fromDir, toDir) => {
+  if (path.resolve(fromDir) === path.resolve(toDir)) return css;
+
+  return css.replace(CSS_URL, (match, quote, url) => {
+    if (!isRelative(url)) return match;
+    return `url(${quote}${toPosix(path.relative(toDir, path.resolve(fromDir, url)))}${quote})`;
+  });
+};
+
+/**
+ * Stylesheets of src/scss write url()s relative to the css folder of the build (where
+ * main.css is); the ones compiled into its subfolders (css/ui/button.css) get them rebased.
+ */
+export const rebaseNestedUrls = () => new Transform({
+  objectMode: true,
+  transform(file, enc, cb) {
+    const dir = path.dirname(file.relative);
+    if (dir !== '.' && file.isBuffer()) {
+      file.contents = Buffer.from(rebaseUrls(String(file.contents), '.', dir));
+    }
+    cb(null, file);
+  },
+});
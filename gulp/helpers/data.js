@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+/**
+ * Content data for the partials, read from src/data/*.json, *.yml and *.yaml.
+ *
+ * Every file becomes a `@data.<file name>` variable of gulp-file-include, and so
+ * does every nested object/array and value inside it:
+ *
+ *   src/data/cases.json        [{ "heading": "TEA-PORT", ... }]
+ *   src/data/contacts.yml      phone: +7 999 000-00-00
+ *
+ *   @loop('./ui/case-item.html', @data.cases)
+ *   <a href="tel:@data.contacts.phone">@data.contacts.phone</a>
+ *
+ * Objects and arrays are inserted as JSON (the form @loop/@include expect),
+ * strings and numbers as they are.
+ */
+
+const DATA_FILE = /\.(json|ya?ml)$/i;
+
+const lineAndColumn = (text, position) => {
+  const lines = text.slice(0, position).split('\n');
+  return `${lines.length}:${lines[lines.length - 1].length + 1}`;
+};
+
+/** Parses a JSON or YAML file, errors carry `file:line:column`. */
+export const parseDataFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (file.endsWith('.json')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      const position = /position (\d+)/.exec(err.message);
+      const where = position ? lineAndColumn(text, Number(position[1])) : `${text.split('\n').length}:1`;
+      throw new Error(`${file}:${where} ${err.message.replace(/ in JSON at position \d+.*$/, '')}`);
+    }
+  }
+
+  try {
+    return yaml.load(text, { filename: file });
+  } catch (err) {
+    const mark = err.mark ? `${err.mark.line + 1}:${err.mark.column + 1}` : '1:1';
+    throw new Error(`${file}:${mark} ${err.reason || err.message}`);
+  }
+};
+
+// `$` is special in String#replace, which gulp-file-include uses for variables.
+const escapeReplacement = (value) => String(value).replace(/\$/g, '$$$$');
+
+const flattenData = (prefix, value, out) => {
+  if (value !== null && typeof value === 'object') {
+    out[prefix] = escapeReplacement(JSON.stringify(value));
+    Object.keys(value).forEach((key) => flattenData(`${prefix}.${key}`, value[key], out));
+  } else {
+    out[prefix] = escapeReplacement(value ?? '');
+  }
+  return out;
+};
+
+/**
+ * @returns {Record<string, string>} gulp-file-include context, `data.<file>[.<key>...]` → value
+ */
+export const readData = () => {
+  const dir = app.paths.srcDataFolder;
+  if (!fs.existsSync(dir)) return {};
+
+  return fs.readdirSync(dir)
+    .filter((f) => DATA_FILE.test(f))
+    .reduce((out, f) => flattenData(`data.${path.parse(f).name}`, parseDataFile(path.join(dir, f)), out), {});
+};
@@ -0,0 +1,5 @@
+/** "js/*.js", "img/**" → RegExp; `*` stays within a folder, `**` crosses folders. */
+export const globToRegExp = (glob) => new RegExp(`^${glob
+  .split(/(\*\*|\*)/)
+  .map((part) => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+  .join('')}$`);
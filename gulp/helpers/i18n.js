@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseDataFile } from './data.js';
+
+/**
+ * Translation layer of htmlInclude.
+ *
+ * Partials reference dictionary keys, also inside include/loop params and src/data:
+ *   <h2>@t('cases.subtitle')</h2>
+ *   @include('./ui/head-cases.html', {"heading": "@t('cases.heading')"})
+ *
+ * Keys are dot paths into src/locales/<locale>.json. A key missing in a locale falls
+ * back to the default locale (then to the key itself) and is listed by report().
+ */
+
+const T_CALL = /@t\(\s*(['"])([^'"]+)\1\s*\)/g;
+
+// Relative asset URLs to rebase for pages built into app/<locale>/.
+const URL_ATTR = /(\s(?:src|href|poster|data-src)=)"([^"]*)"/g;
+const SRCSET_ATTR = /(\s(?:srcset|data-srcset)=)"([^"]*)"/g;
+const isRelativeAsset = (url) => url && !/^([a-z][a-z0-9+.-]*:|\/|#|\?|\.\.\/)/i.test(url) && !/\.html([?#]|$)/.test(url);
+
+const lookup = (dict, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), dict);
+
+export const localeDir = (locale) => (locale === app.config.i18n.defaultLocale ? '' : `${locale}/`);
+
+/** Reads every configured dictionary once per htmlInclude run. */
+export const createTranslator = () => {
+  const dicts = {};
+  Object.keys(app.config.i18n.locales).forEach((locale) => {
+    const file = path.join(app.paths.srcLocalesFolder, `${locale}.json`);
+    dicts[locale] = fs.existsSync(file) ? parseDataFile(file) : {};
+  });
+
+  /** @type {Record<string, Map<string, Set<string>>>} locale → key → pages using it */
+  const missing = {};
+
+  const translate = (html, locale, page) => html.replace(T_CALL, (match, quote, key) => {
+    const value = lookup(dicts[locale], key);
+    if (typeof value === 'string') return value;
+
+    missing[locale] ??= new Map();
+    if (!missing[locale].has(key)) missing[locale].set(key, new Set());
+    missing[locale].get(key).add(page);
+
+    const fallback = lookup(dicts[app.config.i18n.defaultLocale], key);
+    return typeof fallback === 'string' ? fallback : key;
+  });
+
+  /** Logs the keys used by the pages but missing in a dictionary. */
+  const report = () => {
+    Object.entries(missing).forEach(([locale, keys]) => {
+      console.warn(`[i18n] ${keys.size} missing in src/locales/${locale}.json:`);
+      keys.forEach((pages, key) => console.warn(`  ${key} (${[...pages].join(', ')})`));
+    });
+  };
+
+  return { translate, report };
+};
+
+/**
+ * <html lang>, hreflang alternates and asset URLs of one locale build of a page.
+ * @param {string} html
+ * @param {string} locale
+ * @param {string} page file name, e.g. "home.html"
+ */
+export const localizePage = (html, locale, page) => {
+  const base = app.config.site.baseUrl.replace(/\/+$/, '');
+  const alternates = Object.entries(app.config.i18n.locales)
+    .map(([code, { lang }]) => `<link rel="alternate" hreflang="${lang}" href="${base}/${localeDir(code)}${page}" />`)
+    .concat(`<link rel="alternate" hreflang="x-default" href="${base}/${page}" />`)
+    .join('\n    ');
+
+  let out = html
+    .replace(/(<html\b[^>]*?\slang=")[^"]*(")/, `$1${app.config.i18n.locales[locale].lang}$2`)
+    .replace('</head>', `  ${alternates}\n  </head>`);
+
+  const prefix = '../'.repeat(localeDir(locale).split('/').length - 1);
+  if (prefix) {
+    out = out
+      .replace(URL_ATTR, (match, attr, url) => `${attr}"${isRelativeAsset(url) ? prefix + url : url}"`)
+      .replace(SRCSET_ATTR, (match, attr, list) => `${attr}"${list
+        .split(',')
+        .map((item) => item.trim())
+        .map((item) => (isRelativeAsset(item) ? prefix + item : item))
+        .join(', ')}"`);
+  }
+
+  return out;
+};
@@ -0,0 +1,90 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Transform } from 'node:stream';
+
+/**
+ * On-disk cache for image optimizers.
+ *
+ * Entries are keyed by the source content hash plus the optimizer settings,
+ * so an image is encoded again only when the file or the settings change:
+ *
+ *   const cache = imageCache('imagemin', settings);
+ *   app.gulp.src(...)
+ *     .pipe(cache.restore())                        // hits get the cached result
+ *     .pipe(gulpif(cache.isMiss, imagemin(plugins))) // only misses are optimized
+ *     .pipe(cache.save())                           // stores misses, logs them and a summary
+ *
+ * Entries live in `app.paths.imageCacheFolder/<name>`; delete the folder to reset.
+ *
+ * @param {string} name cache namespace and log prefix
+ * @param {Object} settings optimizer options, part of the key
+ * @param {Object} [opts]
+ * @param {string} [opts.extname] output extension set on hits (e.g. ".webp")
+ */
+export const imageCache = (name, settings, { extname } = {}) => {
+  const dir = path.join(app.paths.imageCacheFolder, name);
+  const salt = JSON.stringify(settings);
+  const stats = { hits: 0, misses: 0, before: 0, after: 0 };
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const keyOf = (contents) => crypto.createHash('sha1').update(salt).update(contents).digest('hex');
+
+  const restore = () => transform((file) => {
+    const key = keyOf(file.contents);
+    const entry = path.join(dir, key);
+    const hit = fs.existsSync(entry);
+
+    file.imageCache = { key, hit, size: file.contents.length, relative: file.relative };
+    if (hit) {
+      file.contents = fs.readFileSync(entry);
+      if (extname) file.extname = extname;
+    }
+  });
+
+  const save = () => transform((file) => {
+    const info = file.imageCache;
+    if (!info) return;
+
+    if (!info.hit) fs.writeFileSync(path.join(dir, info.key), file.contents);
+
+    const size = file.contents.length;
+    stats[info.hit ? 'hits' : 'misses'] += 1;
+    stats.before += info.size;
+    stats.after += size;
+    if (!info.hit) {
+      console.log(`[${name}] ${info.relative}: ${formatBytes(info.size)} → ${formatBytes(size)} (saved ${formatBytes(info.size - size)})`);
+    }
+  }, () => {
+    console.log(`[${name}] ${stats.hits} hits, ${stats.misses} misses, saved ${formatBytes(stats.before - stats.after)} in total`);
+  });
+
+  return {
+    restore,
+    save,
+    isMiss: (file) => !file.imageCache?.hit,
+  };
+};
+
+const transform = (onFile, onEnd) => new Transform({
+  objectMode: true,
+  transform(file, enc, cb) {
+    try {
+      if (file.isBuffer()) onFile(file);
+      cb(null, file);
+    } catch (err) {
+      cb(err);
+    }
+  },
+  flush(cb) {
+    onEnd?.();
+    cb();
+  },
+});
+
+const formatBytes = (bytes) => {
+  const sign = bytes < 0 ? '-' : '';
+  const abs = Math.abs(bytes);
+  return abs < 1024 ? `${sign}${abs} B` : `${sign}${(abs / 1024).toFixed(1)} kB`;
+};
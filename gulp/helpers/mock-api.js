@@ -0,0 +1,167 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseDataFile } from './data.js';
+
+/**
+ * BrowserSync middleware of the dev server answering API requests from src/mocks.
+ *
+ * Every file maps routes ("<METHOD> <path>", `*` for any method, `:name` segments) to answers:
+ *
+ *   src/mocks/cases.json
+ *     { "GET /api/cases": { "status": 200, "body": [{ "heading": "TEA-PORT" }] } }
+ *
+ *   src/mocks/request.js
+ *     export default {
+ *       'POST /api/request': ({ body, files }) => (body.name
+ *         ? { body: { ok: true } }
+ *         : { status: 422, body: { errors: { name: 'Required' } } }),
+ *     };
+ *
+ * A handler gets { method, path, params, query, headers, body, files } and returns
+ * (or resolves to) { status = 200, headers, body }; objects are sent as JSON.
+ * `body` holds the JSON, urlencoded or multipart fields, `files` the uploaded files
+ * as { field, name, type, size }. Files are read on every request, edits apply at once.
+ *
+ * `mocks` of persik.config.js adds latency and failures to every answer.
+ * Requests no route matches go on to the static server.
+ */
+
+const MOCK_FILE = /\.(js|json)$/;
+const ROUTE = /^([A-Z]+|\*)\s+(\/\S*)$/;
+
+const compilePath = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/\/:(\w+)/g, '/(?<$1>[^/]+)')}/?$`);
+
+const loadRoutes = async () => {
+  const dir = app.paths.srcMocksFolder;
+  if (!fs.existsSync(dir)) return [];
+
+  const routes = [];
+  for (const f of fs.readdirSync(dir).filter((f) => MOCK_FILE.test(f)).sort()) {
+    const file = path.join(dir, f);
+    // The mtime query makes import() pick up edits instead of the cached module.
+    const table = f.endsWith('.json')
+      ? parseDataFile(file)
+      : (await import(`${pathToFileURL(path.resolve(file)).href}?v=${fs.statSync(file).mtimeMs}`)).default;
+
+    Object.entries(table || {}).forEach(([key, handler]) => {
+      const match = ROUTE.exec(key);
+      if (!match) throw new Error(`${file}: route "${key}" should look like "POST /api/request"`);
+      routes.push({ method: match[1], pattern: compilePath(match[2]), handler });
+    });
+  }
+  return routes;
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks);
+  const type = req.headers['content-type'] || '';
+
+  if (!raw.length) return { body: {}, files: [] };
+  if (type.includes('application/json')) return { body: JSON.parse(raw.toString('utf8')), files: [] };
+  if (!/multipart\/form-data|application\/x-www-form-urlencoded/.test(type)) {
+    return { body: raw.toString('utf8'), files: [] };
+  }
+
+  // The fetch Request of Node parses both form encodings.
+  const form = await new Request('http://mock.local', { method: 'POST', headers: { 'content-type': type }, body: raw }).formData();
+  const body = {};
+  const files = [];
+  for (const [field, value] of form) {
+    if (typeof value === 'string') {
+      body[field] = field in body ? [].concat(body[field], value) : value;
+    } else {
+      files.push({ field, name: value.name, type: value.type, size: value.size });
+    }
+  }
+  return { body, files };
+};
+
+const send = (res, { status = 200, headers = {}, body = '' } = {}) => {
+  const json = typeof body !== 'string';
+  res.writeHead(status, {
+    'content-type': json ? 'application/json; charset=utf-8' : 'text/plain; charset=utf-8',
+    'cache-control': 'no-store',
+    ...headers,
+  });
+  res.end(json ? JSON.stringify(body) : body);
+};
+
+const delay = () => {
+  const [min, max] = app.config.mocks.latency;
+  return new Promise((resolve) => setTimeout(resolve, min + Math.random() * (max - min)));
+};
+
+const formatBytes = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`);
+
+const logRequest = (req, status, started, { body, files } = {}) => {
+  console.log(`[mock] ${req.method} ${req.url} → ${status} in ${Date.now() - started} ms`);
+  if (body && (typeof body === 'string' ? body : Object.keys(body).length)) {
+    console.log(`  body  ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+  }
+  files?.forEach((file) => console.log(`  file  ${file.field}: ${file.name}, ${file.type || 'unknown type'}, ${formatBytes(file.size)}`));
+};
+
+/** @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, next: Function) => void} */
+export const mockApi = () => (req, res, next) => {
+  const started = Date.now();
+
+  const handle = async () => {
+    const url = new URL(req.url, 'http://mock.local');
+    let params = {};
+    const route = (await loadRoutes()).find((r) => {
+      const match = (r.method === '*' || r.method === req.method) && r.pattern.exec(url.pathname);
+      if (match) params = { ...match.groups };
+      return Boolean(match);
+    });
+    if (!route) {
+      next();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readBody(req);
+    } catch (err) {
+      send(res, { status: 400, body: { error: `Unreadable body: ${err.message}` } });
+      logRequest(req, 400, started);
+      return;
+    }
+
+    await delay();
+
+    const { failRate, failStatus } = app.config.mocks;
+    if (Math.random() < failRate) {
+      if (failStatus) {
+        send(res, { status: failStatus, body: { error: 'Injected failure' } });
+      } else {
+        req.socket.destroy();
+      }
+      logRequest(req, failStatus ? `${failStatus} (injected)` : 'connection dropped (injected)', started, payload);
+      return;
+    }
+
+    const answer = typeof route.handler === 'function'
+      ? await route.handler({
+        method: req.method,
+        path: url.pathname,
+        params,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        ...payload,
+      })
+      : route.handler;
+
+    send(res, answer);
+    logRequest(req, answer?.status ?? 200, started, payload);
+  };
+
+  handle().catch((err) => {
+    console.error(`[mock] ${req.method} ${req.url}: ${err.stack || err.message}`);
+    if (!res.headersSent) send(res, { status: 500, body: { error: err.message } });
+  });
+};
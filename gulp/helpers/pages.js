@@ -0,0 +1,78 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+/**
+ * Page metadata from the front-matter block at the top of src/*.html:
+ *
+ *   ---
+ *   title: "@t('pages.home.title')"
+ *   description: "@t('pages.home.description')"
+ *   priority: 1
+ *   noindex: false
+ *   ---
+ *   <!DOCTYPE html>
+ *
+ * - title        link text of the dev index page (defaults to the file name), text or @t() key
+ * - description  link tooltip of the dev index page, text or @t() key
+ * - priority     sitemap.xml priority, 0..1 (default 0.5)
+ * - noindex      left out of sitemap.xml and disallowed in robots.txt
+ * - scripts      JS entries of the page, e.g. [main, checkout] (see tasks/scripts.js)
+ *
+ * htmlInclude strips the block before gulp-file-include runs.
+ */
+
+export const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * @param {string} file path to a src/*.html page
+ * @returns {{file:string, url:string, title:string, description:string, priority:number, noindex:boolean, scripts:string[]|null, mtime:Date}}
+ */
+export const readPage = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  const block = FRONT_MATTER.exec(text);
+  const name = path.basename(file);
+
+  let meta = {};
+  if (block) {
+    try {
+      meta = yaml.load(block[1]) || {};
+    } catch (err) {
+      throw new Error(`${file}: invalid front matter, ${err.message}`);
+    }
+  }
+
+  const priority = meta.priority === undefined ? 0.5 : Number(meta.priority);
+  if (!(priority >= 0 && priority <= 1)) {
+    throw new Error(`${file}: front matter "priority" must be a number from 0 to 1, got "${meta.priority}"`);
+  }
+
+  const { scripts = null } = meta;
+  if (scripts !== null && !(Array.isArray(scripts) && scripts.every((s) => typeof s === 'string'))) {
+    throw new Error(`${file}: front matter "scripts" must be a list of entry names, got ${JSON.stringify(scripts)}`);
+  }
+
+  return {
+    file: name,
+    url: name,
+    title: escapeHtml(meta.title || path.parse(name).name),
+    description: escapeHtml(meta.description || ''),
+    priority,
+    noindex: meta.noindex === true,
+    scripts,
+    mtime: fs.statSync(file).mtime,
+  };
+};
+
+/** Metadata of every page in src, sorted by priority then file name. */
+export const readPages = () => {
+  return fs.readdirSync(app.paths.base.src)
+    .filter((f) => f.endsWith('.html'))
+    .map((f) => readPage(path.join(app.paths.base.src, f)))
+    .sort((a, b) => b.priority - a.priority || a.file.localeCompare(b.file));
+};
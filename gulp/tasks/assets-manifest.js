@@ -0,0 +1,105 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
+import revRewrite from 'gulp-rev-rewrite';
+import { CSS_MANIFEST } from './styles-backend.js';
+import { ENTRYPOINTS, SCRIPTS_MANIFEST } from './scripts.js';
+
+/**
+ * Manifest of the backend build for CMS templates, app/assets-manifest.json
+ * (`backend.manifest` of persik.config.js). One key per logical entry: a webpack
+ * entry and/or a stylesheet of src/scss (`main`, `vendor`, `ui/button`, ...):
+ *
+ *   "main": {
+ *     "js": ["js/main.3f2a1b4c.js"],
+ *     "chunks": { "slider": "js/slider.24fa7b02.js", ... },
+ *     "css": ["css/main-9a8b7c6d5e.css"],
+ *     "preload": [
+ *       { "href": "css/main-9a8b7c6d5e.css", "as": "style" },
+ *       { "href": "js/main.3f2a1b4c.js", "as": "script" },
+ *       { "href": "fonts/EuclidCircularA-Regular.woff2", "as": "font", "type": "font/woff2", "crossorigin": true }
+ *     ]
+ *   }
+ *
+ * Fonts of `fonts.preload` are preload candidates of the entries whose CSS uses them.
+ * The pages of the backend build are rewritten to the hashed names, and with
+ * `backend.themeDir` set the assets and the manifest are copied there.
+ */
+
+const readJson = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+const buildPath = (file) => path.relative(app.paths.base.build, file).split(path.sep).join('/');
+
+const preloadOf = (entry) => {
+  const styles = entry.css.map((href) => fs.readFileSync(path.join(app.paths.base.build, href), 'utf8')).join('\n');
+  const fontsDir = buildPath(app.paths.buildFontsFolder);
+
+  return [
+    ...entry.css.map((href) => ({ href, as: 'style' })),
+    ...entry.js.map((href) => ({ href, as: 'script' })),
+    ...app.config.fonts.preload
+      .map((name) => `${name}.woff2`)
+      .filter((file) => styles.includes(file))
+      .map((file) => ({ href: `${fontsDir}/${file}`, as: 'font', type: 'font/woff2', crossorigin: true })),
+  ];
+};
+
+const collectEntries = () => {
+  const cssDir = buildPath(app.paths.buildCssFolder);
+  const entries = {};
+  const entry = (name) => (entries[name] ??= { js: [], chunks: {}, css: [] });
+
+  Object.entries(readJson(path.join(app.paths.buildJsFolder, ENTRYPOINTS))).forEach(([name, { js, chunks }]) => {
+    Object.assign(entry(name), { js, chunks });
+  });
+  Object.entries(readJson(path.join(app.paths.buildCssFolder, CSS_MANIFEST))).forEach(([file, hashed]) => {
+    entry(file.replace(/\.css$/, '')).css.push(`${cssDir}/${hashed}`);
+  });
+
+  Object.values(entries).forEach((e) => {
+    e.preload = preloadOf(e);
+  });
+  return entries;
+};
+
+/** "css/main.css" → "css/main-9a8b7c6d5e.css" and "js/main.js" → "js/main.3f2a1b4c.js" for gulp-rev-rewrite. */
+const renames = () => {
+  const cssDir = buildPath(app.paths.buildCssFolder);
+  const css = Object.entries(readJson(path.join(app.paths.buildCssFolder, CSS_MANIFEST)))
+    .map(([file, hashed]) => [`${cssDir}/${file}`, `${cssDir}/${hashed}`]);
+
+  return {
+    ...readJson(path.join(app.paths.buildJsFolder, SCRIPTS_MANIFEST)),
+    ...Object.fromEntries(css),
+  };
+};
+
+const syncTheme = () => {
+  const { themeDir, sync } = app.config.backend;
+  if (!themeDir) return;
+
+  fs.mkdirSync(themeDir, { recursive: true });
+  sync.forEach((folder) => {
+    const from = path.join(app.paths.base.build, folder);
+    const to = path.join(themeDir, folder);
+    // Replaced as a whole, so hashed files of earlier builds do not pile up in the theme.
+    fs.rmSync(to, { recursive: true, force: true });
+    if (fs.existsSync(from)) fs.cpSync(from, to, { recursive: true });
+  });
+  fs.copyFileSync(path.join(app.paths.base.build, app.config.backend.manifest), path.join(themeDir, app.config.backend.manifest));
+  console.log(`[assetsManifest] synced ${sync.join(', ')} and ${app.config.backend.manifest} to ${themeDir}`);
+};
+
+export const assetsManifest = async () => {
+  const entries = collectEntries();
+  fs.writeFileSync(path.join(app.paths.base.build, app.config.backend.manifest), JSON.stringify(entries, null, 2));
+
+  await finished(
+    app.gulp.src(`${app.paths.base.build}/**/*.html`)
+      .pipe(revRewrite({ manifest: Buffer.from(JSON.stringify(renames())) }))
+      .pipe(app.gulp.dest(app.paths.base.build))
+      .resume()
+  );
+
+  syncTheme();
+};
@@ -0,0 +1,170 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
+import cheerio from 'gulp-cheerio';
+
+/**
+ * Accessibility and correctness checks of the built pages in app/ (all locales):
+ *
+ *   [audit] en/home.html
+ *     error    img-alt        <img class="case-item__img"> has no alt  (partials/ui/case-item.html)
+ *
+ * The source is the nearest partial declaring the element's id or one of its classes.
+ * Severities per rule and the level that fails the task come from `audit` of
+ * persik.config.js.
+ */
+
+const RULES = {
+  'duplicate-id': 'error',
+  'img-alt': 'error',
+  'button-name': 'error',
+  'link-name': 'error',
+  'aria-reference': 'error',
+  'label-for': 'warning',
+  'option-parent': 'error',
+  'html-lang': 'warning',
+};
+
+const LEVELS = { off: 0, warning: 1, error: 2 };
+
+const ID_REFS = ['aria-controls', 'aria-labelledby', 'aria-describedby', 'aria-owns', 'aria-activedescendant'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Partial sources by path, searched for the ids and classes of reported elements. */
+const readSources = () => {
+  const sources = [];
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(file);
+    else if (entry.name.endsWith('.html')) sources.push({ file: path.relative(app.paths.base.src, file), text: fs.readFileSync(file, 'utf8') });
+  });
+  walk(app.paths.srcPartialsFolder);
+  return sources;
+};
+
+const sourceOf = ($, el, sources) => {
+  for (let node = el; node && node.type === 'tag'; node = node.parent) {
+    const tokens = [$(node).attr('id'), ...($(node).attr('class') || '').split(/\s+/)]
+      .filter((token) => token && !token.startsWith('_'));
+    for (const token of tokens) {
+      const pattern = new RegExp(`["'\\s]${escapeRegExp(token)}["'\\s]`);
+      const match = sources.find((source) => pattern.test(source.text));
+      if (match) return match.file;
+    }
+  }
+  return null;
+};
+
+const describe = ($, el) => {
+  const id = $(el).attr('id');
+  const cls = $(el).attr('class');
+  return `<${el.name}${id ? ` id="${id}"` : ''}${cls ? ` class="${cls.trim()}"` : ''}>`;
+};
+
+/** Simplified accessible name: aria-label(ledby), visible text, alt of images, title. */
+const accessibleName = ($, el) => {
+  const $el = $(el);
+  const labelledby = ($el.attr('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map((id) => $(`[id="${id}"]`).text())
+    .join(' ');
+  const visible = $el.clone();
+  visible.find('[aria-hidden="true"]').remove();
+  const alts = visible.find('img[alt], [role="img"][aria-label]')
+    .map((i, img) => $(img).attr('alt') || $(img).attr('aria-label'))
+    .get()
+    .join(' ');
+
+  return [$el.attr('aria-label'), labelledby, visible.text(), alts, $el.attr('title'), $el.attr('value')]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+};
+
+const checkPage = ($) => {
+  const found = [];
+  const report = (rule, el, message) => found.push({ rule, el, message });
+
+  const ids = new Map();
+  $('[id]').each((i, el) => {
+    const id = $(el).attr('id');
+    ids.set(id, (ids.get(id) || []).concat(el));
+  });
+  ids.forEach((els, id) => {
+    if (els.length > 1) report('duplicate-id', els[1], `id "${id}" is used ${els.length} times`);
+  });
+
+  if (!($('html').attr('lang') || '').trim()) report('html-lang', $('html').get(0), '<html> has no lang');
+
+  $('img').each((i, el) => {
+    if ($(el).attr('alt') === undefined) report('img-alt', el, `${describe($, el)} has no alt, use alt="" for decorative images`);
+  });
+
+  $('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]').each((i, el) => {
+    if ($(el).is('input[type="submit"], input[type="reset"]') && $(el).attr('value') === undefined) return;
+    if (!accessibleName($, el)) report('button-name', el, `${describe($, el)} has no accessible name`);
+  });
+
+  $('a[href]').each((i, el) => {
+    if (!accessibleName($, el)) report('link-name', el, `${describe($, el)} has no accessible name`);
+  });
+
+  $(ID_REFS.map((attr) => `[${attr}]`).join(', ')).each((i, el) => {
+    ID_REFS.forEach((attr) => {
+      ($(el).attr(attr) || '').split(/\s+/).filter(Boolean).forEach((id) => {
+        if (!ids.has(id)) report('aria-reference', el, `${describe($, el)} ${attr}="${id}" matches no element`);
+      });
+    });
+  });
+
+  $('label[for]').each((i, el) => {
+    const id = $(el).attr('for');
+    if (!ids.has(id)) report('label-for', el, `${describe($, el)} for="${id}" matches no element`);
+  });
+
+  $('[role="option"]').each((i, el) => {
+    const owner = $(el).parent().closest('[role]');
+    const listbox = owner.attr('role') === 'group' ? owner.parent().closest('[role]') : owner;
+    if (listbox.attr('role') !== 'listbox') report('option-parent', el, `${describe($, el)} has role="option" outside a listbox`);
+  });
+
+  return found;
+};
+
+export const audit = async () => {
+  const { failOn, rules } = app.config.audit;
+  const unknown = Object.keys(rules).filter((rule) => !(rule in RULES));
+  if (unknown.length) {
+    throw new Error(`audit.rules of persik.config.js: unknown ${unknown.join(', ')}, known rules: ${Object.keys(RULES).join(', ')}`);
+  }
+  const severityOf = (rule) => rules[rule] || RULES[rule];
+  const sources = readSources();
+  const totals = { error: 0, warning: 0 };
+  let pages = 0;
+
+  const checked = app.gulp.src(`${app.paths.base.build}/**/*.html`)
+    .pipe(cheerio({
+      run: ($, file) => {
+        pages += 1;
+        const issues = checkPage($).filter((issue) => severityOf(issue.rule) !== 'off');
+        if (!issues.length) return;
+
+        console.log(`[audit] ${file.relative.split(path.sep).join('/')}`);
+        issues.forEach(({ rule, el, message }) => {
+          const severity = severityOf(rule);
+          const source = sourceOf($, el, sources);
+          totals[severity] += 1;
+          console.log(`  ${severity.padEnd(8)} ${rule.padEnd(15)} ${message}${source ? `  (${source})` : ''}`);
+        });
+      },
+    }));
+  // through2 streams return nothing from resume(), so it is not chained.
+  checked.resume();
+  await finished(checked);
+
+  const summary = `${totals.error} errors, ${totals.warning} warnings in ${pages} pages`;
+  console.log(`[audit] ${summary}`);
+
+  const failing = Object.entries(totals).some(([severity, count]) => count && failOn !== 'off' && LEVELS[severity] >= LEVELS[failOn]);
+  if (failing) throw new Error(`audit: ${summary}, the build fails on ${failOn}s (audit.failOn of persik.config.js)`);
+};
@@ -1,8 +1,23 @@
+import fs from "fs";
+import path from "path";
 import rev from "gulp-rev";
 import revDel from "gulp-rev-delete-original";
+import { SCRIPTS_MANIFEST } from "./scripts.js";
+
+const revManifestPath = () => path.join(app.paths.base.build, 'rev.json');
+const scriptsManifestPath = () => path.join(app.paths.buildJsFolder, SCRIPTS_MANIFEST);
 
 export const cacheTask = () => {
-  return app.gulp.src(`${app.paths.base.build}/**/*.{css,js,svg,png,jpg,jpeg,webp,woff2}`, {
+  // Production scripts already carry webpack's [contenthash]: renaming them here
+  // would break the chunk URLs baked into the webpack runtime.
+  const hashedScripts = fs.existsSync(scriptsManifestPath());
+
+  return app.gulp.src([
+      `${app.paths.base.build}/**/*.{css,js,svg,png,jpg,jpeg,webp,avif,woff2}`,
+      ...(hashedScripts ? [`!${app.paths.buildJsFolder}/**`] : []),
+      // The service worker has to keep its URL, browsers check it for updates.
+      `!${app.paths.base.build}/sw.js`,
+    ], {
       base: app.paths.base.build,
       encoding: false,
     })
@@ -12,3 +27,13 @@ export const cacheTask = () => {
     .pipe(rev.manifest('rev.json'))
     .pipe(app.gulp.dest(app.paths.base.build));
 };
+
+/** Adds the webpack manifest (js/main.js → js/main.<hash>.js, chunks) to rev.json. */
+export const mergeScriptsManifest = (done) => {
+  if (fs.existsSync(scriptsManifestPath())) {
+    const revManifest = JSON.parse(fs.readFileSync(revManifestPath(), 'utf8'));
+    const scriptsManifest = JSON.parse(fs.readFileSync(scriptsManifestPath(), 'utf8'));
+    fs.writeFileSync(revManifestPath(), JSON.stringify({ ...revManifest, ...scriptsManifest }, null, 2));
+  }
+  done();
+};
@@ -0,0 +1,135 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
+import cheerio from 'gulp-cheerio';
+import { globToRegExp } from '../helpers/glob.js';
+
+/**
+ * Checks that the local references of the built pages and stylesheets resolve:
+ * href, src, srcset, poster, data-src(set), CSS url() and @import, and the anchors
+ * of the ones with a #fragment (a page section, an inline or file sprite symbol).
+ *
+ *   [checkLinks] en/home.html
+ *     img/content/case-5.webp             src, no such file
+ *     #contacts                           href, no id="contacts" in en/home.html
+ *   [checkLinks] css/main.css
+ *     ../img/bg.webp                      url(), is img/bg.4f2a0c1b.webp in rev.json, not rewritten
+ *
+ * External URLs (scheme or //host), the "#" placeholder and the files matching
+ * `links.ignore` of persik.config.js are not checked.
+ */
+
+const URL_ATTRS = ['href', 'src', 'poster', 'data-src', 'xlink:href'];
+const SRCSET_ATTRS = ['srcset', 'data-srcset'];
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+
+const isExternal = (url) => /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+const listFiles = (dir, ext) => fs.readdirSync(dir, { withFileTypes: true, recursive: true })
+  .filter((entry) => entry.isFile() && ext.test(entry.name))
+  .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+
+const cssReferences = (css, attr) => [...css.matchAll(CSS_URL)].map((match) => ({ url: match[2] || match[4], attr }));
+
+const htmlReferences = ($) => {
+  const refs = [];
+  $('*').each((i, el) => {
+    URL_ATTRS.forEach((attr) => {
+      const url = $(el).attr(attr);
+      if (url !== undefined) refs.push({ url: url.trim(), attr });
+    });
+    SRCSET_ATTRS.forEach((attr) => {
+      ($(el).attr(attr) || '').split(',').map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+        .forEach((url) => refs.push({ url, attr }));
+    });
+    const style = $(el).attr('style');
+    if (style) refs.push(...cssReferences(style, 'style'));
+  });
+  $('style').each((i, el) => refs.push(...cssReferences($(el).text(), '<style>')));
+  return refs;
+};
+
+/** Anchors (ids, <a name>) of every page and SVG of the build, references of the pages. */
+const readDocuments = async () => {
+  const documents = new Map();
+  const parsed = app.gulp.src(`${app.paths.base.build}/**/*.{html,svg}`)
+    .pipe(cheerio({
+      run: ($, file) => {
+        documents.set(path.resolve(file.path), {
+          anchors: new Set($('[id], a[name]').map((i, el) => $(el).attr('id') || $(el).attr('name')).get()),
+          refs: file.extname === '.html' ? htmlReferences($) : [],
+        });
+      },
+    }));
+  // through2 streams return nothing from resume(), so it is not chained.
+  parsed.resume();
+  await finished(parsed);
+  return documents;
+};
+
+/** Hashed names of the cache task, "img/bg.webp" → "img/bg.4f2a0c1b.webp". */
+const readRevManifest = () => {
+  const file = path.join(app.paths.base.build, 'rev.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+};
+
+export const checkLinks = async () => {
+  const build = path.resolve(app.paths.base.build);
+  const rev = readRevManifest();
+  const documents = await readDocuments();
+  const ignored = app.config.links.ignore.map(globToRegExp);
+  const broken = new Map();
+
+  const check = (from, { url, attr }) => {
+    if (!url || url === '#' || isExternal(url)) return null;
+
+    const target = decodeURI(url.split(/[?#]/)[0]);
+    const fragment = url.includes('#') ? decodeURIComponent(url.slice(url.indexOf('#') + 1)) : '';
+
+    let file = from;
+    if (target) {
+      file = target.startsWith('/') ? path.join(build, target) : path.resolve(path.dirname(from), target);
+      if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+      if (ignored.some((pattern) => pattern.test(toPosix(path.relative(build, file))))) return null;
+
+      if (!fs.existsSync(file)) {
+        const hashed = rev[toPosix(path.relative(build, file))];
+        return hashed ? `${attr}, is ${hashed} in rev.json, not rewritten` : `${attr}, no such file`;
+      }
+    }
+
+    const anchors = documents.get(file)?.anchors;
+    if (fragment && anchors && !anchors.has(fragment)) {
+      return `${attr}, no id="${fragment}" in ${toPosix(path.relative(build, file))}`;
+    }
+    return null;
+  };
+
+  const report = (from, refs) => {
+    refs.forEach((ref) => {
+      const problem = check(from, ref);
+      if (!problem) return;
+      const name = toPosix(path.relative(build, from));
+      if (!broken.has(name)) broken.set(name, []);
+      broken.get(name).push({ url: ref.url, problem });
+    });
+  };
+
+  documents.forEach(({ refs }, file) => report(file, refs));
+  listFiles(build, /\.css$/).forEach((file) => {
+    report(file, cssReferences(fs.readFileSync(file, 'utf8'), 'url()'));
+  });
+
+  if (!broken.size) return;
+
+  let count = 0;
+  broken.forEach((problems, file) => {
+    console.log(`[checkLinks] ${file}`);
+    const width = Math.max(...problems.map(({ url }) => url.length));
+    problems.forEach(({ url, problem }) => console.log(`  ${url.padEnd(width)}  ${problem}`));
+    count += problems.length;
+  });
+  throw new Error(`checkLinks: ${count} broken references in ${broken.size} files`);
+};
@@ -0,0 +1,169 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import cheerio from 'gulp-cheerio';
+import postcss from 'postcss';
+import { rebaseUrls } from '../helpers/css-urls.js';
+
+/**
+ * Inlines the CSS needed for the first screen into every built page.
+ *
+ * Works offline on the built pages in app/ (all locales) and the stylesheets they link:
+ * - a rule is critical when one of its selectors matches an element inside the
+ *   above-the-fold roots (`critical.roots` of persik.config.js) or one of their ancestors;
+ *   dynamic pseudo-classes and pseudo-elements are ignored while matching;
+ * - :root variables and keyframes used by critical rules are kept, and the @font-face
+ *   rules of the families they use, except faces with data: sources (icon fonts inlined
+ *   by libraries), left to the stylesheet;
+ * - the critical CSS goes into <style data-critical> in <head>, the stylesheet itself
+ *   is loaded through rel="preload" with a <noscript> fallback.
+ *
+ * Per page, on the <html> element of src/<page>.html:
+ *   data-critical="off"                  skip this page
+ *   data-critical=".header, .hero, .cases" use other above-the-fold roots
+ */
+
+// Selector parts that depend on state and never match a static document.
+const DYNAMIC = /::?[a-zA-Z-]+(\((?:[^()]|\([^()]*\))*\))?/g;
+const STRUCTURAL = /^:(not|first-child|last-child|only-child|first-of-type|last-of-type|nth-[a-z-]+|root|empty)\b/;
+
+const staticSelector = (selector) => {
+  const stripped = selector
+    .replace(DYNAMIC, (part) => (STRUCTURAL.test(part) ? part : ''))
+    .trim()
+    .replace(/[>+~]\s*$/, '')
+    .trim();
+  return stripped || '*';
+};
+
+const unquote = (name) => name.trim().replace(/^(['"])(.*)\1$/, '$2').toLowerCase();
+
+// Family names the font / font-family declarations of `ast` use, var() resolved through `vars`.
+const usedFamilies = (ast, vars) => {
+  const resolve = (value, depth = 0) => (depth > 10 ? value : value.replace(
+    /var\(\s*(--[\w-]+)\s*(?:,([^()]*))?\)/g,
+    (match, name, fallback = '') => resolve(vars.get(name) ?? fallback, depth + 1),
+  ));
+
+  const used = new Set();
+  ast.walkDecls(/^font(-family)?$/, (decl) => {
+    if (decl.parent.type === 'atrule') return;
+    resolve(decl.value).split(',').forEach((item, i) => {
+      // The shorthand lists the family after the size: "500 1.6rem/1.2 'Inter', sans-serif".
+      const name = decl.prop === 'font' && i === 0 ? item.trim().match(/(['"]).*\1$|\S+$/)?.[0] ?? '' : item;
+      used.add(unquote(name));
+    });
+  });
+  return used;
+};
+
+const readStylesheets = ($, file) => {
+  const base = path.dirname(file.path);
+  return $('link[rel="stylesheet"][href]')
+    .toArray()
+    .filter((link) => !/^(https?:)?\/\//.test($(link).attr('href')))
+    .map((link) => {
+      const href = $(link).attr('href');
+      const cssPath = path.join(base, href.split(/[?#]/)[0]);
+      return { link, href, dir: path.dirname(cssPath), css: fs.existsSync(cssPath) ? fs.readFileSync(cssPath, 'utf8') : null };
+    })
+    .filter((sheet) => sheet.css !== null);
+};
+
+const extractCritical = ($, css, roots) => {
+  const critical = new Set();
+  $(roots).each((i, root) => {
+    critical.add(root);
+    $(root).find('*').each((j, el) => critical.add(el));
+    $(root).parents().each((j, el) => critical.add(el));
+  });
+
+  const matches = (selector) => {
+    try {
+      return $(staticSelector(selector)).toArray().some((el) => critical.has(el));
+    } catch {
+      // Selectors the matcher does not support are kept, better more CSS than a flash.
+      return true;
+    }
+  };
+
+  const ast = postcss.parse(css);
+  const animations = new Set();
+  const vars = new Map();
+  ast.walkDecls(/^--/, (decl) => vars.set(decl.prop, vars.has(decl.prop) ? `${vars.get(decl.prop)},${decl.value}` : decl.value));
+
+  ast.walkRules((rule) => {
+    if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+    if (!rule.selectors.some(matches)) {
+      rule.remove();
+      return;
+    }
+    rule.walkDecls(/^animation(-name)?$/, (decl) => {
+      decl.value.split(/[\s,]+/).forEach((name) => animations.add(name));
+    });
+  });
+
+  const families = usedFamilies(ast, vars);
+  ast.walkAtRules('font-face', (face) => {
+    let family = '';
+    let inline = false;
+    face.walkDecls('font-family', (decl) => {
+      family = unquote(decl.value);
+    });
+    face.walkDecls('src', (decl) => {
+      inline ||= /url\(\s*['"]?data:/i.test(decl.value);
+    });
+    if (inline || !families.has(family)) face.remove();
+  });
+
+  ast.walkAtRules((at) => {
+    if (/keyframes$/i.test(at.name)) {
+      if (!animations.has(at.params)) at.remove();
+    } else if (at.name === 'import') {
+      at.remove();
+    }
+  });
+
+  // Drop @media / @supports blocks left empty.
+  let emptied = true;
+  while (emptied) {
+    emptied = false;
+    ast.walkAtRules((at) => {
+      if (at.nodes && !at.nodes.length) {
+        at.remove();
+        emptied = true;
+      }
+    });
+  }
+
+  return ast.toString();
+};
+
+export const criticalCss = () => {
+  return app.gulp.src(`${app.paths.base.build}/**/*.html`)
+    .pipe(cheerio({
+      run: ($, file) => {
+        const html = $('html');
+        const setting = (html.attr('data-critical') || '').trim();
+        html.removeAttr('data-critical');
+        if (setting === 'off') return;
+
+        const roots = setting || app.config.critical.roots;
+        readStylesheets($, file).forEach(({ link, href, dir, css }) => {
+          // url()s of the stylesheet resolve from its folder, the inlined copy from the page's.
+          const critical = rebaseUrls(extractCritical($, css, roots), dir, path.dirname(file.path));
+          if (!critical.trim()) return;
+
+          $(link).before(`<style data-critical>${critical}</style>`);
+          $(link)
+            .attr('rel', 'preload')
+            .attr('as', 'style')
+            .attr('onload', "this.onload=null;this.rel='stylesheet'");
+          $(link).after(`<noscript><link rel="stylesheet" href="${href}" /></noscript>`);
+        });
+      },
+      parserOptions: {
+        decodeEntities: false,
+      },
+    }))
+    .pipe(app.gulp.dest(app.paths.base.build));
+};
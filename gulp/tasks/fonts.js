@@ -0,0 +1,118 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Transform } from 'node:stream';
+import { finished } from 'node:stream/promises';
+import gulpif from 'gulp-if';
+import ttf2woff2 from 'gulp-ttf2woff2';
+import subsetFont from 'subset-font';
+
+/**
+ * TTF/OTF (and ready WOFF2) from src/fonts → app/fonts/*.woff2, then src/scss/fonts.scss
+ * is regenerated with one @font-face per file:
+ *   EuclidCircularA-SemiBoldItalic.ttf → family "EuclidCircularA", weight 600, style italic
+ *   Open-Sans-Bold.ttf                 → family "Open-Sans", weight 700 (split on the last hyphen)
+ */
+
+const WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+const SOURCES = /\.(ttf|otf|woff2)$/i;
+
+/** @returns {{file:string, family:string, weight:number, style:string}} */
+const describeFont = (file) => {
+  const name = path.parse(file).name;
+  const dash = name.lastIndexOf('-');
+  const [family, variant] = dash > 0 ? [name.slice(0, dash), name.slice(dash + 1)] : [name, 'Regular'];
+  const style = /italic|oblique/i.test(variant) ? 'italic' : 'normal';
+  const weightName = variant.replace(/italic|oblique/i, '').toLowerCase() || 'regular';
+
+  return { file: `${name}.woff2`, family, weight: WEIGHTS[weightName] ?? 400, style };
+};
+
+const hex = (code) => code.toString(16).toUpperCase().padStart(4, '0');
+
+const unicodeRange = () => app.config.fonts.ranges
+  .map(([from, to]) => (from === to ? `U+${hex(from)}` : `U+${hex(from)}-${hex(to)}`))
+  .join(', ');
+
+const subsetText = () => app.config.fonts.ranges
+  .map(([from, to]) => Array.from({ length: to - from + 1 }, (v, i) => String.fromCodePoint(from + i)).join(''))
+  .join('');
+
+/** Keeps the configured glyphs only, any input format → WOFF2. */
+const subset = () => {
+  const text = subsetText();
+  return new Transform({
+    objectMode: true,
+    transform(file, enc, cb) {
+      subsetFont(file.contents, text, { targetFormat: 'woff2' })
+        .then((contents) => {
+          file.contents = contents;
+          file.extname = '.woff2';
+          cb(null, file);
+        })
+        .catch(cb);
+    },
+  });
+};
+
+const fontFace = ({ file, family, weight, style }) => [
+  '@font-face {',
+  `  font-family: "${family}";`,
+  `  src: url("../fonts/${file}") format("woff2");`,
+  `  font-weight: ${weight};`,
+  '  font-display: swap;',
+  `  font-style: ${style};`,
+  ...(app.config.fonts.subset ? [`  unicode-range: ${unicodeRange()};`] : []),
+  '}',
+].join('\n');
+
+const writeFontsScss = (files) => {
+  const faces = [...new Map(files.map(describeFont).map((font) => [font.file, font])).values()]
+    .sort((a, b) => a.family.localeCompare(b.family) || a.weight - b.weight || a.style.localeCompare(b.style))
+    .map(fontFace);
+
+  const scss = [
+    '/* stylelint-disable */',
+    '// Generated by the `fonts` gulp task from src/fonts, edits here are overwritten.',
+    ...faces,
+    '',
+  ].join('\n');
+
+  fs.writeFileSync(path.join(app.paths.srcScssFolder, 'fonts.scss'), scss);
+};
+
+export const fonts = async () => {
+  const files = fs.readdirSync(app.paths.srcFontsFolder).filter((f) => SOURCES.test(f));
+
+  await finished(
+    app.gulp.src(`${app.paths.srcFontsFolder}/*.{ttf,otf,woff2}`, { encoding: false, removeBOM: false })
+      .pipe(gulpif(app.config.fonts.subset, subset()))
+      .pipe(gulpif((file) => !app.config.fonts.subset && /\.(ttf|otf)$/i.test(file.extname), ttf2woff2({ ignoreExt: true })))
+      .pipe(app.gulp.dest(app.paths.buildFontsFolder))
+      .resume()
+  );
+
+  writeFontsScss(files);
+};
+
+/** `@fontPreload` of partials/head.html: preload links for the `fonts.preload` setting. */
+export const fontPreloadLinks = () => app.config.fonts.preload
+  .map((name) => `<link rel="preload" href="fonts/${name}.woff2" as="font" type="font/woff2" crossorigin />`)
+  .join('\n  ');
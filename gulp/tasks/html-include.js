@@ -1,17 +1,72 @@
+import path from 'node:path';
+import { Transform, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import browserSync from 'browser-sync';
 import fileInclude from "gulp-file-include";
 import typograf from "gulp-typograf";
+import replace from 'gulp-replace';
+import { pictureHelper } from './responsive-images.js';
+import { fontPreloadLinks } from './fonts.js';
+import { iconHelper } from './sprite.js';
+import { scriptInjector } from './scripts.js';
+import { FRONT_MATTER, readPages } from '../helpers/pages.js';
+import { readData } from '../helpers/data.js';
+import { createTranslator, localeDir, localizePage } from '../helpers/i18n.js';
 
-export const htmlInclude = () => {
-  return app.gulp.src([`${app.paths.base.src}/*.html`])
-    .pipe(fileInclude({
+const mapContents = (fn) => new Transform({
+  objectMode: true,
+  transform(file, enc, cb) {
+    try {
+      file.contents = Buffer.from(fn(String(file.contents), file.relative));
+      cb(null, file);
+    } catch (err) {
+      cb(err);
+    }
+  },
+});
+
+// End of the pipeline: consumes the pages so it settles once all are written.
+const drain = () => new Writable({
+  objectMode: true,
+  write(file, enc, cb) {
+    cb();
+  },
+});
+
+/** One build of src/*.html per locale: app/ for the default one, app/<locale>/ for the rest. */
+export const htmlInclude = async () => {
+  const pages = readPages();
+  const context = {
+    picture: pictureHelper(),
+    spriteIcon: iconHelper(),
+    fontPreload: fontPreloadLinks(),
+    pages,
+    ...readData(),
+  };
+  const translator = createTranslator();
+  const injectScripts = scriptInjector();
+  const pageByFile = Object.fromEntries(pages.map((page) => [page.file, page]));
+
+  // pipeline() rather than .pipe(): an error in any step fails the task instead of stalling it.
+  await Promise.all(Object.entries(app.config.i18n.locales).map(([locale, settings]) => pipeline(
+    app.gulp.src([`${app.paths.base.src}/*.html`]),
+    replace(FRONT_MATTER, ''),
+    fileInclude({
       prefix: '@',
       basepath: '@file',
-      maxRecursion: 100
-    }))
-    .pipe(typograf({
-      locale: ['ru', 'en-US']
-    }))
-    .pipe(app.gulp.dest(app.paths.base.build))
-    .pipe(browserSync.stream());
+      maxRecursion: 100,
+      context,
+    }),
+    mapContents((html, page) => injectScripts(html, pageByFile[page])),
+    mapContents((html, page) => translator.translate(html, locale, page)),
+    mapContents((html, page) => localizePage(html, locale, page)),
+    typograf({
+      locale: settings.typograf
+    }),
+    app.gulp.dest(path.join(app.paths.base.build, localeDir(locale))),
+    browserSync.stream(),
+    drain()
+  )));
+
+  translator.report();
 }
@@ -1,14 +1,29 @@
 import gulpif from 'gulp-if';
-import imagemin, { gifsicle, mozjpeg, optipng, svgo } from 'gulp-imagemin';
-import newer from "gulp-newer";
+import imagemin, { gifsicle, mozjpeg, optipng } from 'gulp-imagemin';
+import webp from 'gulp-webp';
+import { imageCache } from '../helpers/image-cache.js';
+
+const settings = {
+  gifsicle: { interlaced: true },
+  mozjpeg: { quality: 75, progressive: true },
+  optipng: { optimizationLevel: 2 },
+  webp: { quality: 75 },
+};
+
+// Every raster format of the glob below has an optimizer; SVGs are copied as is.
+const optimizable = (file) => app.isProd && /\.(jpe?g|png|gif|webp)$/i.test(file.extname);
+const isWebp = (file) => /\.webp$/i.test(file.extname);
 
 export const images = () => {
-  return app.gulp.src([`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png,svg,webp}`], { encoding: false })
-    // .pipe(newer(app.paths.buildImgFolder))
-    // .pipe(gulpif(app.isProd, imagemin([
-    //   gifsicle({ interlaced: true }),
-    //   mozjpeg({ quality: 75, progressive: true }),
-    //   optipng({ optimizationLevel: 2 }),
-    // ])))
+  const cache = imageCache('imagemin', settings);
+
+  return app.gulp.src([`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png,gif,svg,webp}`], { encoding: false })
+    .pipe(gulpif(optimizable, cache.restore()))
+    .pipe(gulpif((file) => optimizable(file) && cache.isMiss(file), gulpif(isWebp, webp(settings.webp), imagemin([
+      gifsicle(settings.gifsicle),
+      mozjpeg(settings.mozjpeg),
+      optipng(settings.optipng),
+    ], { silent: true }))))
+    .pipe(gulpif(optimizable, cache.save()))
     .pipe(app.gulp.dest(app.paths.buildImgFolder))
 };
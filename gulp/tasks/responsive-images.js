@@ -0,0 +1,120 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+
+/**
+ * Width variants for every raster in src/img/content:
+ *   case-1.webp → img/content/case-1-480.avif, case-1-480.webp, ..., case-1-1074.webp
+ *
+ * and the manifest app/img/images.json used by ui/picture.html:
+ *   {
+ *     "case-1": {
+ *       "src": "img/content/case-1.webp", "width": 1074, "height": 593,
+ *       "sources": {
+ *         "avif": [{ "src": "img/content/case-1-480.avif", "width": 480, "height": 265 }, ...],
+ *         "webp": [...]
+ *       }
+ *     }
+ *   }
+ *
+ * `src` is the original, copied as is by the `images` task.
+ * Encoded variants are kept in `app.paths.imageCacheFolder/responsive`, keyed by the
+ * source content hash plus format, encoder options and width (as in helpers/image-cache.js),
+ * so a variant is encoded again only when the original or its settings change.
+ */
+
+const RASTER = /\.(jpe?g|png|webp)$/i;
+
+const manifestPath = () =>
+  path.join(app.paths.buildImgFolder, app.config.images.manifest);
+
+const cacheDir = () => path.join(app.paths.imageCacheFolder, 'responsive');
+
+const buildImage = async (file, stats) => {
+  const srcPath = path.join(app.paths.srcContentImgFolder, file);
+  const name = path.parse(file).name;
+  const source = fs.readFileSync(srcPath);
+  const sourceHash = crypto.createHash('sha1').update(source).digest('hex');
+  const { width, height } = await sharp(source).metadata();
+
+  const widths = app.config.images.widths.filter((w) => w < width).concat(width);
+  const entry = { src: `img/content/${file}`, width, height, sources: {} };
+
+  for (const [format, options] of Object.entries(app.config.images.formats)) {
+    entry.sources[format] = [];
+    for (const w of widths) {
+      const out = `${name}-${w}.${format}`;
+      const key = crypto.createHash('sha1').update(JSON.stringify({ format, options, width: w })).update(sourceHash).digest('hex');
+      const cached = path.join(cacheDir(), key);
+      if (fs.existsSync(cached)) {
+        stats.hits += 1;
+      } else {
+        await sharp(source).resize({ width: w }).toFormat(format, options).toFile(cached);
+        stats.misses += 1;
+      }
+      fs.copyFileSync(cached, path.join(app.paths.buildContentImgFolder, out));
+      entry.sources[format].push({
+        src: `img/content/${out}`,
+        width: w,
+        height: Math.round((height * w) / width),
+      });
+    }
+  }
+
+  return [name, entry];
+};
+
+export const responsiveImages = async () => {
+  fs.mkdirSync(app.paths.buildContentImgFolder, { recursive: true });
+  fs.mkdirSync(cacheDir(), { recursive: true });
+
+  const files = fs.readdirSync(app.paths.srcContentImgFolder).filter((f) => RASTER.test(f));
+  const manifest = {};
+  const stats = { hits: 0, misses: 0 };
+  for (const file of files) {
+    const [name, entry] = await buildImage(file, stats);
+    manifest[name] = entry;
+  }
+
+  fs.writeFileSync(manifestPath(), JSON.stringify(manifest, null, 2));
+  console.log(`[responsiveImages] ${stats.hits} hits, ${stats.misses} misses`);
+};
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Returns the `picture(context)` helper for gulp-file-include,
+ * reading the manifest written by `responsiveImages`.
+ *
+ * Include params of ui/picture.html:
+ *   image   name of the file in src/img/content without extension (required)
+ *   sizes   defaults to the `images.sizes` setting
+ *   alt, cls (on <picture>), imgCls (on <img>), loading ("lazy" by default, "eager" for LCP images)
+ */
+export const pictureHelper = () => {
+  const file = manifestPath();
+  const manifest = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  return (ctx) => {
+    const entry = manifest[ctx.image];
+    if (!entry) {
+      throw new Error(`ui/picture.html: "${ctx.image}" is not in ${file}, expected an image in ${app.paths.srcContentImgFolder}`);
+    }
+
+    return {
+      cls: escapeAttr(ctx.cls || ''),
+      imgCls: escapeAttr(ctx.imgCls || ''),
+      alt: escapeAttr(ctx.alt || ''),
+      loading: ctx.loading || 'lazy',
+      sizes: escapeAttr(ctx.sizes || app.config.images.sizes),
+      src: entry.src,
+      width: entry.width,
+      height: entry.height,
+      sources: Object.entries(entry.sources).map(([format, list]) => ({
+        type: `image/${format}`,
+        srcset: list.map((v) => `${v.src} ${v.width}w`).join(', '),
+      })),
+    };
+  };
+};
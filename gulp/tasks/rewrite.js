@@ -1,18 +1,23 @@
 import revRewrite from "gulp-rev-rewrite";
 import { readFileSync } from "fs";
+import { finished } from "stream/promises";
 
-export const rewrite = () => {
-  const manifest = readFileSync('app/rev.json');
+export const rewrite = async () => {
+  const manifest = readFileSync(`${app.paths.base.build}/rev.json`);
 
-  app.gulp.src(`${app.paths.buildCssFolder}/*.css`)
-    .pipe(revRewrite({
-      manifest
-    }))
-    .pipe(app.gulp.dest(app.paths.buildCssFolder));
-    return app.gulp.src(`${app.paths.base.build}/**/*.html`)
-    .pipe(revRewrite({
-      manifest
-    }))
-    .pipe(app.gulp.dest(app.paths.base.build));
+  // Both are awaited: the steps after it in `cache` read the rewritten files.
+  await Promise.all([
+    finished(app.gulp.src(`${app.paths.buildCssFolder}/**/*.css`)
+      .pipe(revRewrite({
+        manifest
+      }))
+      .pipe(app.gulp.dest(app.paths.buildCssFolder))
+      .resume()),
+    finished(app.gulp.src(`${app.paths.base.build}/**/*.html`)
+      .pipe(revRewrite({
+        manifest
+      }))
+      .pipe(app.gulp.dest(app.paths.base.build))
+      .resume()),
+  ]);
 }
-
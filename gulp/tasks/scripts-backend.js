@@ -2,9 +2,16 @@ import browserSync from 'browser-sync';
 import webpackStream from 'webpack-stream';
 import plumber from 'gulp-plumber';
 import notify from 'gulp-notify';
+import { finished } from 'stream/promises';
+import { deleteAsync } from 'del';
+import { EntrypointsPlugin, ScriptsManifestPlugin, entrySources, moduleRules, optimization, resolveOptions } from './scripts.js';
 
-export const scriptsBackend = () => {
-  return app.gulp.src(app.paths.srcMainJs)
+export const scriptsBackend = async () => {
+  // Hashed names change on every edit: drop the previous build instead of piling it up.
+  await deleteAsync(app.paths.buildJsFolder);
+
+  let failed = null;
+  await finished(entrySources()
     .pipe(plumber(
       notify.onError({
         title: "JS",
@@ -14,30 +21,24 @@ export const scriptsBackend = () => {
     .pipe(webpackStream({
       mode: 'development',
       output: {
-        filename: 'main.js',
-      },
-      module: {
-        rules: [{
-          test: /\.m?js$/,
-          exclude: /node_modules/,
-          use: {
-            loader: 'babel-loader',
-            options: {
-              presets: [
-                ['@babel/preset-env', {
-                  targets: "defaults"
-                }]
-              ]
-            }
-          }
-        }]
+        filename: '[name].[contenthash:8].js',
+        chunkFilename: '[name].[contenthash:8].js',
       },
+      plugins: [new ScriptsManifestPlugin(), new EntrypointsPlugin()],
+      optimization: optimization(),
+      module: { rules: moduleRules() },
+      resolve: resolveOptions(),
       devtool: false
     }))
     .on('error', function (err) {
       console.error('WEBPACK ERROR', err);
+      failed = err;
       this.emit('end');
     })
     .pipe(app.gulp.dest(app.paths.buildJsFolder))
-    .pipe(browserSync.stream());
+    .pipe(browserSync.stream())
+    .resume());
+
+  // assets-manifest.json and the release archive would point to a broken bundle.
+  if (failed) throw new Error(`scriptsBackend: ${failed.message}`);
 }
@@ -1,104 +1,331 @@
+import fs from "fs";
 import path from "path";
+import { Transform } from "stream";
+import { finished } from "stream/promises";
 import browserSync from "browser-sync";
 import webpackStream from "webpack-stream";
 import plumber from "gulp-plumber";
 import notify from "gulp-notify";
 
-export const scripts = () => {
-  return app.gulp
-    .src(app.paths.srcMainJs)
-    .pipe(
-      plumber(
-        notify.onError({
-          title: "JS",
-          message: "Error: <%= error.message %>",
-        })
-      )
-    )
-    .pipe(
-      webpackStream({
-        mode: app.isProd ? "production" : "development",
-        output: { filename: "main.js" },
-        module: {
-          rules: [
-            {
-              test: /\.m?js$/,
-              exclude: /node_modules/,
-              use: {
-                loader: "babel-loader",
-                options: {
-                  presets: [["@babel/preset-env", { targets: "defaults" }]],
-                },
-              },
+export const SCRIPTS_MANIFEST = "webpack-manifest.json";
+export const ENTRYPOINTS = "entrypoints.json";
+
+/**
+ * Entries: src/js/main.js ("main", the app shell) and every src/js/pages/<name>.js
+ * ("pages/<name>"). A page gets "main" plus its namesake pages/<page>.js when there
+ * is one; `scripts` in the front matter lists the entries instead:
+ *   scripts: [main, checkout]   main + src/js/pages/checkout.js
+ *   scripts: []                 no scripts at all
+ */
+const MAIN_ENTRY = "main";
+
+const entryName = (name) =>
+  name === MAIN_ENTRY ? MAIN_ENTRY : `pages/${name}`;
+
+const entryFile = (entry) =>
+  entry === MAIN_ENTRY
+    ? app.paths.srcMainJs
+    : `${app.paths.srcPagesJsFolder}/${entry.slice("pages/".length)}.js`;
+
+/** Names the piped files as webpack-stream entries: "main", "pages/home". */
+const namedEntries = () =>
+  new Transform({
+    objectMode: true,
+    transform(file, enc, cb) {
+      file.named =
+        file.path === path.resolve(app.paths.srcMainJs)
+          ? MAIN_ENTRY
+          : `pages/${file.stem}`;
+      cb(null, file);
+    },
+  });
+
+/**
+ * Emits js/webpack-manifest.json mapping stable names to the emitted files:
+ *   { "js/main.js": "js/main.3f2a1b4c.js", "js/form.js": "js/form.9e8d7c6b.js" }
+ * Paths are relative to the build folder, like the entries of rev.json.
+ */
+export class ScriptsManifestPlugin {
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+    const dir = path.relative(app.paths.base.build, app.paths.buildJsFolder);
+
+    compiler.hooks.thisCompilation.tap(
+      "ScriptsManifestPlugin",
+      (compilation) => {
+        compilation.hooks.processAssets.tap(
+          {
+            name: "ScriptsManifestPlugin",
+            stage: Compilation.PROCESS_ASSETS_STAGE_REPORT,
+          },
+          () => {
+            const manifest = {};
+            for (const chunk of compilation.chunks) {
+              chunk.files.forEach((file) => {
+                if (!file.endsWith(".js")) return;
+                manifest[`${dir}/${chunk.name || chunk.id}.js`] =
+                  `${dir}/${file}`;
+              });
+            }
+            compilation.emitAsset(
+              SCRIPTS_MANIFEST,
+              new sources.RawSource(JSON.stringify(manifest, null, 2))
+            );
+          }
+        );
+      }
+    );
+  }
+}
+
+/**
+ * Emits js/entrypoints.json: initial files (runtime, vendor, entry, in load order)
+ * and dynamic chunks of every entry, chunks keyed by their webpackChunkName (or id):
+ *   { "main": { "js": ["js/runtime.js", "js/vendor.js", "js/main.js"], "chunks": { "slider": "js/slider.js" } } }
+ */
+export class EntrypointsPlugin {
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+    const dir = path.relative(app.paths.base.build, app.paths.buildJsFolder);
+    const isJs = (file) => file.endsWith(".js");
+
+    compiler.hooks.thisCompilation.tap("EntrypointsPlugin", (compilation) => {
+      compilation.hooks.processAssets.tap(
+        {
+          name: "EntrypointsPlugin",
+          stage: Compilation.PROCESS_ASSETS_STAGE_REPORT,
+        },
+        () => {
+          const entries = {};
+          compilation.entrypoints.forEach((entrypoint, name) => {
+            const chunks = {};
+            // Not entrypoint.chunks: the shared runtime reaches every entry's chunks.
+            entrypoint
+              .getEntrypointChunk()
+              .getAllAsyncChunks()
+              .forEach((async) => {
+                [...async.files].filter(isJs).forEach((file) => {
+                  chunks[async.name || async.id] = `${dir}/${file}`;
+                });
+              });
+            entries[name] = {
+              js: entrypoint
+                .getFiles()
+                .filter(isJs)
+                .map((file) => `${dir}/${file}`),
+              chunks,
+            };
+          });
+          compilation.emitAsset(
+            ENTRYPOINTS,
+            new sources.RawSource(JSON.stringify(entries, null, 2))
+          );
+        }
+      );
+    });
+  }
+}
+
+/**
+ * One runtime for all the entries of a page, and the `scripts.vendor` packages of
+ * persik.config.js the entries import in a shared js/vendor.js. Packages only the lazy
+ * component chunks import (Swiper, Inputmask) stay in those chunks.
+ */
+export const optimization = () => {
+  const packages = app.config.scripts.vendor
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"))
+    .join("|");
+
+  return {
+    runtimeChunk: "single",
+    splitChunks: packages
+      ? {
+          cacheGroups: {
+            vendor: {
+              test: new RegExp(
+                `[\\\\/]node_modules[\\\\/](${packages})[\\\\/]`
+              ),
+              name: "vendor",
+              chunks: "initial",
+              enforce: true,
             },
-            {
-              test: /\.css$/i,
-              use: [
-                {
-                  loader: "css-loader",
-                  options: { exportType: "string", url: false },
-                },
+          },
+        }
+      : undefined,
+  };
+};
+
+/** src/js/main.js and src/js/pages/*.js, named for webpack-stream. */
+export const entrySources = () =>
+  app.gulp
+    .src([
+      app.paths.srcMainJs,
+      // The folder is optional, and gulp.src fails on a glob in a missing one.
+      ...(fs.existsSync(app.paths.srcPagesJsFolder)
+        ? [`${app.paths.srcPagesJsFolder}/*.js`]
+        : []),
+    ])
+    .pipe(namedEntries());
+
+/** Loaders of the bundles: babel for the sources, CSS and SCSS imported as strings. */
+export const moduleRules = () => [
+  {
+    test: /\.m?js$/,
+    exclude: /node_modules/,
+    use: {
+      loader: "babel-loader",
+      options: {
+        presets: [
+          ["@babel/preset-env", { targets: app.config.scripts.targets }],
+        ],
+      },
+    },
+  },
+  {
+    test: /\.css$/i,
+    use: [
+      {
+        loader: "css-loader",
+        options: { exportType: "string", url: false },
+      },
+      {
+        loader: "postcss-loader",
+        options: {
+          postcssOptions: {
+            plugins: [
+              [
+                "autoprefixer",
                 {
-                  loader: "postcss-loader",
-                  options: {
-                    postcssOptions: {
-                      plugins: [
-                        [
-                          "autoprefixer",
-                          {
-                            overrideBrowserslist: ["last 5 versions"],
-                            grid: true,
-                          },
-                        ],
-                      ],
-                    },
-                  },
+                  overrideBrowserslist: app.config.browsers,
+                  grid: true,
                 },
               ],
-            },
-            {
-              test: /\.s[ac]ss$/i,
-              use: [
-                {
-                  loader: "css-loader",
-                  options: { exportType: "string", url: false },
-                },
+            ],
+          },
+        },
+      },
+    ],
+  },
+  {
+    test: /\.s[ac]ss$/i,
+    use: [
+      {
+        loader: "css-loader",
+        options: { exportType: "string", url: false },
+      },
+      {
+        loader: "postcss-loader",
+        options: {
+          postcssOptions: {
+            plugins: [
+              [
+                "autoprefixer",
                 {
-                  loader: "postcss-loader",
-                  options: {
-                    postcssOptions: {
-                      plugins: [
-                        [
-                          "autoprefixer",
-                          {
-                            overrideBrowserslist: ["last 5 versions"],
-                            grid: true,
-                          },
-                        ],
-                      ],
-                    },
-                  },
+                  overrideBrowserslist: app.config.browsers,
+                  grid: true,
                 },
-                "sass-loader",
               ],
-            },
-          ],
-        },
-        resolve: {
-          alias: {
-            "@": path.resolve(process.cwd(), "src"),
-            scss: path.resolve(process.cwd(), "src/scss"),
+            ],
           },
-          extensions: [".js", ".mjs", ".json", ".css", ".scss"],
-          modules: ["node_modules", path.resolve(process.cwd(), "src")],
         },
-        devtool: !app.isProd ? "source-map" : false,
+      },
+      "sass-loader",
+    ],
+  },
+];
+
+export const resolveOptions = () => ({
+  alias: {
+    "@": path.resolve(app.paths.base.src),
+    scss: path.resolve(app.paths.srcScssFolder),
+  },
+  extensions: [".js", ".mjs", ".json", ".css", ".scss"],
+  modules: ["node_modules", path.resolve(app.paths.base.src)],
+});
+
+export const scripts = async () => {
+  let failed = null;
+
+  await finished(
+    entrySources()
+      .pipe(
+        plumber(
+          notify.onError({
+            title: "JS",
+            message: "Error: <%= error.message %>",
+          })
+        )
+      )
+      .pipe(
+        webpackStream({
+          mode: app.isProd ? "production" : "development",
+          output: app.isProd
+            ? {
+                filename: "[name].[contenthash:8].js",
+                chunkFilename: "[name].[contenthash:8].js",
+              }
+            : { filename: "[name].js", chunkFilename: "[name].js" },
+          plugins: app.isProd
+            ? [new ScriptsManifestPlugin(), new EntrypointsPlugin()]
+            : [new EntrypointsPlugin()],
+          optimization: optimization(),
+          module: { rules: moduleRules() },
+          resolve: resolveOptions(),
+          devtool: !app.isProd ? "source-map" : false,
+        })
+      )
+      .on("error", function (err) {
+        console.error("WEBPACK ERROR", err);
+        failed = err;
+        this.emit("end");
       })
-    )
-    .on("error", function (err) {
-      console.error("WEBPACK ERROR", err);
-      this.emit("end");
-    })
-    .pipe(app.gulp.dest(app.paths.buildJsFolder))
-    .pipe(browserSync.stream());
+      .pipe(app.gulp.dest(app.paths.buildJsFolder))
+      .pipe(browserSync.stream())
+      .resume()
+  );
+
+  // The dev server carries on after a compile error, a build must not.
+  if (failed && app.isProd) throw new Error(`scripts: ${failed.message}`);
+};
+
+/**
+ * Returns the `(html, page) => html` step of htmlInclude adding the <script> tags of
+ * the page entries before </body>, from the js/entrypoints.json of the last
+ * `scripts` run (plain js/<entry>.js names before the first one).
+ */
+export const scriptInjector = () => {
+  const file = path.join(app.paths.buildJsFolder, ENTRYPOINTS);
+  const entrypoints = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : {};
+  const dir = path.relative(app.paths.base.build, app.paths.buildJsFolder);
+
+  return (html, page) => {
+    const own = path.parse(page.file).name;
+    const entries = page.scripts
+      ? page.scripts.map(entryName)
+      : [MAIN_ENTRY, entryName(own)].filter((entry) =>
+          fs.existsSync(entryFile(entry))
+        );
+
+    entries.forEach((entry) => {
+      if (!fs.existsSync(entryFile(entry))) {
+        throw new Error(
+          `${page.file}: front matter "scripts" lists "${entry}", ${entryFile(entry)} does not exist`
+        );
+      }
+    });
+
+    const files = new Set(
+      entries.flatMap(
+        (entry) => entrypoints[entry]?.js || [`${dir}/${entry}.js`]
+      )
+    );
+    if (!files.size) return html;
+
+    const tags = [...files]
+      .map((src) => `<script defer src="${src}"></script>`)
+      .join("\n    ");
+    return html.replace("</body>", `  ${tags}\n  </body>`);
+  };
 };
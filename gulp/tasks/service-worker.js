@@ -0,0 +1,70 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * app/sw.js from src/sw.js, with `serviceWorker.enabled` of persik.config.js; the last
+ * step of `cache`, as it precaches the hashed files of rev.json (images excepted, the
+ * worker caches them on use) and every page.
+ *
+ * The version is a hash of the precached names and pages, so a deploy changing any of
+ * them installs a new worker. Pages get <meta name="service-worker"> pointing to sw.js,
+ * the registration of src/js/functions/service-worker.js looks for it.
+ */
+
+const SERVICE_WORKER = 'sw.js';
+const MANIFEST_PLACEHOLDER = 'self.__SW_MANIFEST';
+const IMAGE = /\.(avif|webp|png|jpe?g|gif|svg)$/i;
+const META = /<meta name="service-worker"[^>]*>\s*/;
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+const listPages = (dir) => fs.readdirSync(dir, { withFileTypes: true, recursive: true })
+  .filter((entry) => entry.isFile() && entry.name.endsWith('.html'))
+  .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+
+const unmarkPage = (file) => {
+  const html = fs.readFileSync(file, 'utf8');
+  if (META.test(html)) fs.writeFileSync(file, html.replace(META, ''));
+};
+
+const markPage = (file) => {
+  const href = toPosix(path.relative(path.dirname(file), path.join(app.paths.base.build, SERVICE_WORKER)));
+  const html = fs.readFileSync(file, 'utf8').replace(META, '');
+  fs.writeFileSync(file, html.replace('</head>', `<meta name="service-worker" content="${href}">\n</head>`));
+};
+
+export const serviceWorker = async () => {
+  const { enabled, name } = app.config.serviceWorker;
+  const target = path.join(app.paths.base.build, SERVICE_WORKER);
+  const pages = listPages(app.paths.base.build);
+
+  if (!enabled) {
+    fs.rmSync(target, { force: true });
+    pages.forEach(unmarkPage);
+    return;
+  }
+
+  const revManifest = path.join(app.paths.base.build, 'rev.json');
+  if (!fs.existsSync(revManifest)) {
+    throw new Error(`serviceWorker: ${revManifest} is missing, the worker is built by the cache task`);
+  }
+
+  pages.forEach(markPage);
+
+  const assets = Object.values(JSON.parse(fs.readFileSync(revManifest, 'utf8'))).filter((file) => !IMAGE.test(file));
+  const pageUrls = pages.map((file) => toPosix(path.relative(app.paths.base.build, file)));
+  const precache = [...new Set([...assets, ...pageUrls])].sort();
+
+  const hash = crypto.createHash('sha256').update(precache.join('\n'));
+  pages.forEach((file) => hash.update(fs.readFileSync(file)));
+  const version = hash.digest('hex').slice(0, 10);
+
+  const source = fs.readFileSync(app.paths.srcServiceWorker, 'utf8');
+  if (!source.includes(MANIFEST_PLACEHOLDER)) {
+    throw new Error(`serviceWorker: ${app.paths.srcServiceWorker} does not read ${MANIFEST_PLACEHOLDER}`);
+  }
+  fs.writeFileSync(target, source.replace(MANIFEST_PLACEHOLDER, JSON.stringify({ name, version, precache })));
+
+  console.log(`[serviceWorker] ${SERVICE_WORKER} ${version}, ${precache.length} files precached`);
+};
@@ -0,0 +1,46 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { readPages } from '../helpers/pages.js';
+import { localeDir } from '../helpers/i18n.js';
+
+/**
+ * sitemap.xml and robots.txt from the front matter of src/*.html (see helpers/pages.js).
+ * Pages with `noindex: true` are left out of the sitemap and disallowed in robots.txt.
+ * Every page is listed once per locale build (app/, app/<locale>/).
+ */
+export const sitemap = (done) => {
+  const base = app.config.site.baseUrl.replace(/\/+$/, '');
+  const dirs = Object.keys(app.config.i18n.locales).map(localeDir);
+  const pages = readPages().flatMap((page) => dirs.map((dir) => ({ ...page, url: `${dir}${page.url}` })));
+
+  const urls = pages
+    .filter((page) => !page.noindex)
+    .map((page) => [
+      '  <url>',
+      `    <loc>${base}/${page.url}</loc>`,
+      `    <lastmod>${page.mtime.toISOString().slice(0, 10)}</lastmod>`,
+      `    <priority>${page.priority.toFixed(1)}</priority>`,
+      '  </url>',
+    ].join('\n'));
+
+  const sitemapXml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+
+  const robotsTxt = [
+    'User-agent: *',
+    ...pages.filter((page) => page.noindex).map((page) => `Disallow: /${page.url}`),
+    '',
+    `Sitemap: ${base}/sitemap.xml`,
+    '',
+  ].join('\n');
+
+  fs.mkdirSync(app.paths.base.build, { recursive: true });
+  fs.writeFileSync(path.join(app.paths.base.build, 'sitemap.xml'), sitemapXml);
+  fs.writeFileSync(path.join(app.paths.base.build, 'robots.txt'), robotsTxt);
+  done();
+};
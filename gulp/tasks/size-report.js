@@ -0,0 +1,172 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { CSS_MANIFEST } from './styles-backend.js';
+import { ENTRYPOINTS, SCRIPTS_MANIFEST } from './scripts.js';
+import { globToRegExp } from '../helpers/glob.js';
+
+/**
+ * Raw, gzip and brotli sizes of the JS files and entries, stylesheets, fonts and images
+ * of the build, checked against `sizes.budgets` of persik.config.js:
+ *
+ *   [sizes] js                        raw      gzip    brotli         Δ
+ *     entry:main                  217.2 kB   65.4 kB   57.4 kB   +1.2 kB
+ *     js/vendor.js                200.0 kB   58.6 kB   51.4 kB   +1.2 kB
+ *     total, 11 unchanged         254.2 kB   81.1 kB   71.2 kB   +1.2 kB
+ *   [sizes] error    entry:main gzip 65.4 kB over 60.0 kB (budget "entry:*")
+ *
+ * Files keep their unhashed names (js/main.js, css/main.css), so the Δ column compares
+ * the `sizes.compression` size with the report of the previous run, kept in the cache folder.
+ * Only entries and changed files are listed; the full report is in that file.
+ */
+
+const KINDS = [
+  { kind: 'js', test: /^js\/.+\.js$/ },
+  { kind: 'css', test: /^css\/.+\.css$/ },
+  { kind: 'fonts', test: /^fonts\/.+\.(woff2?|ttf|otf)$/ },
+  { kind: 'images', test: /^img\/.+\.(avif|webp|jpe?g|png|gif|svg)$/ },
+];
+
+const UNITS = { B: 1, kB: 1024, MB: 1024 * 1024 };
+
+/** 40960, "40 kB", "1.5 MB" → bytes. */
+const parseSize = (value) => {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(B|kB|MB)$/.exec(String(value).trim());
+  return match ? Math.round(match[1] * UNITS[match[2]]) : NaN;
+};
+
+const formatSize = (bytes) => {
+  if (bytes < UNITS.kB) return `${bytes} B`;
+  return bytes < UNITS.MB ? `${(bytes / UNITS.kB).toFixed(1)} kB` : `${(bytes / UNITS.MB).toFixed(2)} MB`;
+};
+
+const formatDelta = (bytes) => {
+  if (!bytes) return '';
+  return `${bytes > 0 ? '+' : '-'}${formatSize(Math.abs(bytes))}`;
+};
+
+const readJson = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+const buildPath = (file) => path.relative(app.paths.base.build, file).split(path.sep).join('/');
+
+const listFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true, recursive: true })
+  .filter((entry) => entry.isFile())
+  .map((entry) => buildPath(path.join(entry.parentPath ?? entry.path, entry.name)));
+
+/** Hashed name → stable name from the manifests of the backend and production builds. */
+const stableNames = () => {
+  const cssDir = buildPath(app.paths.buildCssFolder);
+  const css = Object.entries(readJson(path.join(app.paths.buildCssFolder, CSS_MANIFEST)))
+    .map(([file, hashed]) => [`${cssDir}/${hashed}`, `${cssDir}/${file}`]);
+  const js = Object.entries(readJson(path.join(app.paths.buildJsFolder, SCRIPTS_MANIFEST)))
+    .map(([file, hashed]) => [hashed, file]);
+
+  return Object.fromEntries([...css, ...js]);
+};
+
+const measure = (contents) => ({
+  raw: contents.length,
+  gzip: zlib.gzipSync(contents, { level: 9 }).length,
+  brotli: zlib.brotliCompressSync(contents).length,
+});
+
+const collectSizes = () => {
+  const names = stableNames();
+  const files = {};
+
+  listFiles(app.paths.base.build).forEach((file) => {
+    const kind = KINDS.find(({ test }) => test.test(file))?.kind;
+    if (!kind) return;
+    files[names[file] || file] = { kind, ...measure(fs.readFileSync(path.join(app.paths.base.build, file))) };
+  });
+
+  // An entry is what a page loads for it: the runtime, vendor and entry files together.
+  Object.entries(readJson(path.join(app.paths.buildJsFolder, ENTRYPOINTS))).forEach(([name, { js }]) => {
+    const sizes = js.map((file) => files[names[file] || file]).filter(Boolean);
+    files[`entry:${name}`] = {
+      kind: 'js',
+      raw: sizes.reduce((sum, size) => sum + size.raw, 0),
+      gzip: sizes.reduce((sum, size) => sum + size.gzip, 0),
+      brotli: sizes.reduce((sum, size) => sum + size.brotli, 0),
+    };
+  });
+
+  return files;
+};
+
+const printTable = (files, previous, compression) => {
+  const width = Math.max(...Object.keys(files).map((name) => name.length), 24) + 2;
+  const row = (label, cells) => `${label.padEnd(width)}${cells.map((cell) => cell.padStart(10)).join('')}`;
+
+  const cells = (size, before) => [
+    formatSize(size.raw),
+    formatSize(size.gzip),
+    formatSize(size.brotli),
+    before ? formatDelta(size[compression] - before[compression]) : 'new',
+  ];
+
+  KINDS.forEach(({ kind }) => {
+    const names = Object.keys(files).filter((name) => files[name].kind === kind).sort();
+    if (!names.length) return;
+
+    // Entries and changed files are listed, the rest only counts towards the total.
+    const listed = names.filter((name) => name.startsWith('entry:')
+      || !(name in previous)
+      || files[name][compression] !== previous[name][compression]);
+    const total = (report) => Object.keys(report)
+      .filter((name) => report[name].kind === kind && !name.startsWith('entry:'))
+      .reduce((sum, name) => ({
+        raw: sum.raw + report[name].raw,
+        gzip: sum.gzip + report[name].gzip,
+        brotli: sum.brotli + report[name].brotli,
+      }), { raw: 0, gzip: 0, brotli: 0 });
+
+    console.log(row(`[sizes] ${kind}`, ['raw', 'gzip', 'brotli', 'Δ']));
+    listed.forEach((name) => console.log(row(`  ${name}`, cells(files[name], previous[name]))));
+    const unchanged = names.length - listed.length;
+    console.log(row(`  total${unchanged ? `, ${unchanged} unchanged` : ''}`, cells(total(files), Object.keys(previous).length && total(previous))));
+  });
+
+  Object.keys(previous)
+    .filter((name) => !(name in files))
+    .forEach((name) => console.log(`[sizes] removed ${name} (${formatSize(previous[name][compression])})`));
+};
+
+const checkBudgets = (files, compression) => {
+  const exceeded = { error: [], warning: [] };
+
+  Object.entries(app.config.sizes.budgets).forEach(([glob, budget]) => {
+    const limits = typeof budget === 'object' ? budget : { error: budget };
+    const pattern = globToRegExp(glob);
+
+    Object.keys(files).filter((name) => pattern.test(name)).forEach((name) => {
+      const size = files[name][compression];
+      const level = ['error', 'warning'].find((key) => key in limits && size > parseSize(limits[key]));
+      if (!level) return;
+
+      exceeded[level].push(`${name} ${compression} ${formatSize(size)} over ${formatSize(parseSize(limits[level]))} (budget "${glob}")`);
+    });
+  });
+
+  return exceeded;
+};
+
+export const sizeReport = async () => {
+  const { compression } = app.config.sizes;
+  const files = collectSizes();
+  const previous = readJson(app.paths.sizeReport).files || {};
+
+  printTable(files, previous, compression);
+
+  fs.mkdirSync(path.dirname(app.paths.sizeReport), { recursive: true });
+  fs.writeFileSync(app.paths.sizeReport, JSON.stringify({ date: new Date().toISOString(), files }, null, 2));
+
+  const exceeded = checkBudgets(files, compression);
+  exceeded.warning.forEach((message) => console.warn(`[sizes] warning  ${message}`));
+  exceeded.error.forEach((message) => console.error(`[sizes] error    ${message}`));
+
+  if (exceeded.error.length) {
+    throw new Error(`sizes: ${exceeded.error.length} over budget (sizes.budgets of persik.config.js)`);
+  }
+};
@@ -1,19 +1,65 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
 import svgSprite from "gulp-svg-sprite";
 import svgmin from "gulp-svgmin";
 import cheerio from 'gulp-cheerio';
+import gulpif from 'gulp-if';
 import replace from 'gulp-replace';
 
-export const svgSprites = () => {
-  return app.gulp.src(app.paths.srcSvg, { encoding: false })
-    .pipe(
-      svgmin({
-        js2svg: {
-          pretty: true,
-        },
-      })
-    )
-    .pipe(
-      cheerio({
+/**
+ * src/img/svg/*.svg → app/img/sprite.svg (<symbol> per file, `sprite.mode` of
+ * persik.config.js) and the manifest
+ * app/img/icons.json used by ui/icon.html:
+ *   { "arrow-right": { "viewBox": "0 0 24 24" }, ... }
+ *
+ * fill/stroke/style are stripped so icons take `currentColor`, except for files
+ * named `*-color.svg`: those keep their colors and lose the suffix in the id
+ *   logo-color.svg → #logo
+ */
+
+const MANIFEST = 'icons.json';
+const COLOR_SUFFIX = /-color$/;
+
+const manifestPath = () => path.join(app.paths.buildImgFolder, MANIFEST);
+
+const iconId = (name) => path.basename(name, '.svg').replace(COLOR_SUFFIX, '');
+
+const isMonochrome = (file) => !COLOR_SUFFIX.test(file.stem);
+
+// Rasters and other files dropped in the svg folder never get into the sprite.
+const reportForeignFiles = () => {
+  const foreign = fs.readdirSync(app.paths.srcSvgFolder).filter((f) => !f.startsWith('.') && !f.endsWith('.svg'));
+  if (foreign.length) {
+    console.warn(`[svgSprites] not SVG, left out of the sprite: ${foreign.join(', ')} (${app.paths.srcSvgFolder})`);
+  }
+};
+
+const writeManifest = () => {
+  const sprite = fs.readFileSync(path.join(app.paths.buildImgFolder, 'sprite.svg'), 'utf8');
+  const icons = {};
+  // <symbol id> in symbol mode, <svg id> in stack mode.
+  for (const [symbol] of sprite.matchAll(/<(?:symbol|svg)\b[^>]*>/g)) {
+    const id = /\sid="([^"]+)"/.exec(symbol);
+    const viewBox = /\sviewBox="([^"]+)"/.exec(symbol);
+    if (id) icons[id[1]] = { viewBox: viewBox ? viewBox[1] : null };
+  }
+  fs.writeFileSync(manifestPath(), JSON.stringify(icons, null, 2));
+};
+
+export const svgSprites = async () => {
+  reportForeignFiles();
+
+  await finished(
+    app.gulp.src(app.paths.srcSvg, { encoding: false })
+      .pipe(
+        svgmin({
+          js2svg: {
+            pretty: true,
+          },
+        })
+      )
+      .pipe(gulpif(isMonochrome, cheerio({
         run: function ($) {
           $('[fill]').removeAttr('fill');
           $('[stroke]').removeAttr('stroke');
@@ -22,15 +68,52 @@ export const svgSprites = () => {
         parserOptions: {
           xmlMode: true
         },
-      })
-    )
-    .pipe(replace('&gt;', '>'))
-    .pipe(svgSprite({
-      mode: {
-        stack: {
-          sprite: "../sprite.svg"
-        }
-      },
-    }))
-    .pipe(app.gulp.dest(app.paths.buildImgFolder));
-}
+      })))
+      .pipe(replace('&gt;', '>'))
+      .pipe(svgSprite({
+        shape: {
+          id: {
+            generator: iconId,
+          },
+        },
+        mode: {
+          [app.config.sprite.mode]: {
+            sprite: "../sprite.svg"
+          }
+        },
+      }))
+      .pipe(app.gulp.dest(app.paths.buildImgFolder))
+      .resume()
+  );
+
+  writeManifest();
+};
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Returns the `spriteIcon(context)` helper for gulp-file-include,
+ * reading the manifest written by `svgSprites`.
+ *
+ * Include params of ui/icon.html:
+ *   icon    id in the sprite, the file name in src/img/svg without `.svg`/`-color.svg` (required)
+ *   cls     class of <svg>
+ *   label   accessible name; without it the icon is aria-hidden
+ */
+export const iconHelper = () => {
+  const file = manifestPath();
+  const icons = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  return (ctx) => {
+    if (!icons[ctx.icon]) {
+      throw new Error(`ui/icon.html: "${ctx.icon}" is not in ${file}, known icons: ${Object.keys(icons).join(', ') || 'none'}`);
+    }
+
+    const label = escapeAttr(ctx.label || '');
+    return {
+      id: ctx.icon,
+      cls: escapeAttr(ctx.cls || ''),
+      a11y: label ? `role="img" aria-label="${label}"` : 'aria-hidden="true"',
+    };
+  };
+};
@@ -1,14 +1,24 @@
+import { finished } from 'stream/promises';
 import browserSync from 'browser-sync';
 import * as dartSass from 'sass';
 import gulpSass from 'gulp-sass';
 import plumber from 'gulp-plumber';
 import autoprefixer from 'gulp-autoprefixer';
 import notify from 'gulp-notify';
+import rev from 'gulp-rev';
+import { deleteAsync } from 'del';
+import { rebaseNestedUrls } from '../helpers/css-urls.js';
 
 const sass = gulpSass(dartSass);
 
-export const stylesBackend = () => {
-  return app.gulp.src(app.paths.srcScss)
+/** css/css-manifest.json: "main.css" → "main-9a8b7c6d5e.css", relative to the css folder. */
+export const CSS_MANIFEST = 'css-manifest.json';
+
+export const stylesBackend = async () => {
+  // Hashed names change on every edit: drop the previous build instead of piling it up.
+  await deleteAsync(app.paths.buildCssFolder);
+
+  await finished(app.gulp.src(app.paths.srcScss)
     .pipe(plumber(
       notify.onError({
         title: "SCSS",
@@ -16,11 +26,16 @@ export const stylesBackend = () => {
       })
     ))
     .pipe(sass())
+    .pipe(rebaseNestedUrls())
     .pipe(autoprefixer({
       cascade: false,
       grid: true,
-      overrideBrowserslist: ["last 5 versions"]
+      overrideBrowserslist: app.config.browsers
     }))
+    .pipe(rev())
+    .pipe(app.gulp.dest(app.paths.buildCssFolder))
+    .pipe(browserSync.stream())
+    .pipe(rev.manifest(CSS_MANIFEST))
     .pipe(app.gulp.dest(app.paths.buildCssFolder))
-    .pipe(browserSync.stream());
+    .resume());
 };
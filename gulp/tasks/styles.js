@@ -6,6 +6,7 @@ import gulpSass from 'gulp-sass';
 import plumber from 'gulp-plumber';
 import autoprefixer from 'gulp-autoprefixer';
 import notify from 'gulp-notify';
+import { rebaseNestedUrls } from '../helpers/css-urls.js';
 
 const sass = gulpSass(dartSass);
 
@@ -18,10 +19,11 @@ export const styles = () => {
       })
     ))
     .pipe(sass())
+    .pipe(rebaseNestedUrls())
     .pipe(autoprefixer({
       cascade: false,
       grid: true,
-      overrideBrowserslist: ["last 5 versions"]
+      overrideBrowserslist: app.config.browsers
     }))
     .pipe(gulpif(app.isProd, cleanCSS({
       level: 2
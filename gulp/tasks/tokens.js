@@ -0,0 +1,146 @@
+import fs from 'node:fs';
+import { parseDataFile } from '../helpers/data.js';
+
+/**
+ * Design tokens of src/tokens.json, the one place colors, fonts, z-indexes and
+ * breakpoints are defined:
+ *
+ *   "breakpoints": { "mobile": "48em" },
+ *   "colors": { "c-accent": "#2ed36a" },
+ *   "base": { "container-width": { "value": "166.5rem", "mobile": "100%" } }
+ *
+ * Every other group is a set of custom properties named by their keys; an object value
+ * overrides the default per breakpoint (max-width, in the order of `breakpoints`).
+ * Generates, rewriting only the files that change:
+ * - src/scss/_vars.scss: the `:root` block of main.scss;
+ * - src/scss/_breakpoints.scss: `$breakpoints` and `@include down(mobile)` / `up(mobile)`;
+ * - src/js/tokens.js: the same values for the scripts, `mediaDown.mobile` for matchMedia.
+ */
+
+const HEADER = 'Generated from src/tokens.json by the tokens task, edit the JSON instead.';
+
+const LENGTH = /^(\d*\.?\d+)(px|em|rem)$/;
+
+/** "48em" → "48.01em", the first width a min-width query past the breakpoint matches. */
+const above = (length) => {
+  const [, number, unit] = LENGTH.exec(length);
+  return `${parseFloat((Number(number) + 0.01).toFixed(4))}${unit}`;
+};
+
+const readTokens = () => {
+  const { breakpoints = {}, ...groups } = parseDataFile(app.paths.srcTokens);
+  const problems = [];
+
+  Object.entries(breakpoints).forEach(([name, length]) => {
+    if (!LENGTH.test(length)) problems.push(`breakpoints.${name}: expected a px, em or rem length, got ${JSON.stringify(length)}`);
+  });
+  Object.entries(groups).forEach(([group, tokens]) => {
+    Object.entries(tokens).forEach(([name, token]) => {
+      if (typeof token !== 'object') return;
+      Object.keys(token)
+        .filter((key) => key !== 'value' && !(key in breakpoints))
+        .forEach((key) => problems.push(`${group}.${name}.${key}: not a breakpoint, expected one of ${Object.keys(breakpoints).join(', ')}`));
+    });
+  });
+
+  if (problems.length) throw new Error(`${app.paths.srcTokens}:\n  ${problems.join('\n  ')}`);
+  return { breakpoints, groups };
+};
+
+const varsScss = ({ breakpoints, groups }) => {
+  const declarations = Object.entries(groups).map(([group, tokens]) => [
+    `  // ${group}`,
+    ...Object.entries(tokens).map(([name, token]) => `  --${name}: ${typeof token === 'object' ? token.value : token};`),
+  ].join('\n'));
+
+  const overrides = Object.entries(breakpoints).map(([breakpoint, length]) => {
+    const lines = Object.values(groups).flatMap((tokens) => Object.entries(tokens)
+      .filter(([, token]) => typeof token === 'object' && breakpoint in token)
+      .map(([name, token]) => `    --${name}: ${token[breakpoint]};`));
+    return lines.length ? `  @media (max-width: ${length}) {\n${lines.join('\n')}\n  }` : null;
+  }).filter(Boolean);
+
+  return `// ${HEADER}\n\n:root {\n${[...declarations, ...overrides].join('\n\n')}\n}\n`;
+};
+
+const breakpointsScss = ({ breakpoints }) => {
+  const map = (value) => Object.entries(breakpoints).map(([name, length]) => `  "${name}": ${value(length)},`).join('\n');
+  const mixin = (name, feature, values) => `@mixin ${name}($name) {
+  @if not map.has-key(${values}, $name) {
+    @error "Unknown breakpoint \`#{$name}\`, expected one of #{map.keys(${values})}";
+  }
+
+  @media (${feature}: map.get(${values}, $name)) {
+    @content;
+  }
+}`;
+
+  return `// ${HEADER}
+@use "sass:map";
+
+$breakpoints: (
+${map((length) => length)}
+);
+
+// The first widths past the breakpoints, for min-width queries.
+$breakpoints-above: (
+${map(above)}
+);
+
+// Up to and including the breakpoint: @include down(mobile) { ... }
+${mixin('down', 'max-width', '$breakpoints')}
+
+// Past the breakpoint: @include up(mobile) { ... }
+${mixin('up', 'min-width', '$breakpoints-above')}
+`;
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Quoted the way prettier leaves them: double quotes unless the string contains some.
+const jsString = (value) => (value.includes('"') && !value.includes("'") ? `'${value}'` : JSON.stringify(value));
+
+const jsValue = (value, indent = '') => {
+  if (typeof value === 'string') return jsString(value);
+  if (typeof value !== 'object') return String(value);
+
+  const inner = `${indent}  `;
+  const props = Object.entries(value)
+    .map(([key, item]) => `${inner}${IDENTIFIER.test(key) ? key : jsString(key)}: ${jsValue(item, inner)},`);
+  return `{\n${props.join('\n')}\n${indent}}`;
+};
+
+const camelCase = (name) => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+const tokensJs = ({ breakpoints, groups }) => {
+  const query = (feature, value) => Object.fromEntries(Object.entries(breakpoints)
+    .map(([name, length]) => [name, `(${feature}: ${value(length)})`]));
+
+  return [
+    `// ${HEADER}`,
+    '',
+    `export const breakpoints = ${jsValue(breakpoints)};`,
+    '',
+    '/** Up to and including the breakpoint, `@include down(mobile)` of SCSS. */',
+    `export const mediaDown = ${jsValue(query('max-width', (length) => length))};`,
+    '',
+    '/** Past the breakpoint, `@include up(mobile)` of SCSS. */',
+    `export const mediaUp = ${jsValue(query('min-width', above))};`,
+    ...Object.entries(groups).flatMap(([group, tokens]) => ['', `export const ${camelCase(group)} = ${jsValue(tokens)};`]),
+    '',
+  ].join('\n');
+};
+
+const writeIfChanged = (file, contents) => {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) return;
+  fs.writeFileSync(file, contents);
+  console.log(`[tokens] ${file}`);
+};
+
+export const tokens = async () => {
+  const parsed = readTokens();
+
+  writeIfChanged(app.paths.srcVarsScss, varsScss(parsed));
+  writeIfChanged(app.paths.srcBreakpointsScss, breakpointsScss(parsed));
+  writeIfChanged(app.paths.srcTokensJs, tokensJs(parsed));
+};
@@ -1,7 +1,15 @@
+import gulpif from 'gulp-if';
 import webp from 'gulp-webp';
+import { imageCache } from '../helpers/image-cache.js';
+
+const settings = { quality: 75 };
 
 export const webpImages = () => {
+  const cache = imageCache('webp', settings, { extname: '.webp' });
+
   return app.gulp.src([`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png}`], { encoding: false })
-    .pipe(webp())
+    .pipe(cache.restore())
+    .pipe(gulpif(cache.isMiss, webp(settings)))
+    .pipe(cache.save())
     .pipe(app.gulp.dest(app.paths.buildImgFolder))
 };
@@ -1,20 +1,78 @@
-import path from 'path';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { execFileSync } from 'node:child_process';
+import { Writable } from 'node:stream';
+import { finished, pipeline } from 'node:stream/promises';
 import zip from 'gulp-zip';
-import { deleteAsync } from 'del';
-import notify from 'gulp-notify';
-import plumber from 'gulp-plumber';
-
-const rootFolder = path.basename(path.resolve());
-
-export const zipFiles = () => {
-  deleteAsync([`${app.paths.base.build}/*.zip`]);
-  return app.gulp.src(`${app.paths.base.build}/**/*.*`, { encoding: false })
-    .pipe(plumber(
-      notify.onError({
-        title: "ZIP",
-        message: "Error: <%= error.message %>"
-      })
-    ))
-    .pipe(zip(`${rootFolder}.zip`))
-    .pipe(app.gulp.dest(app.paths.base.build));
-}
+
+/**
+ * Release archive of the build in app/, written to `release.dir` of persik.config.js:
+ *
+ *   release/gulp-builder-3.0.0-2026-10-19-808973a.zip           frontend build, revved by cache
+ *   release/gulp-builder-3.0.0-2026-10-19-808973a-backend.zip   backend build (has assets-manifest.json)
+ *
+ * Files matching `release.exclude` (sourcemaps, the manifests only the tasks read) stay
+ * out. BUILD_INFO.json is packed along: name, version, commit, build time and the size
+ * and sha256 of every packed file.
+ */
+
+export const BUILD_INFO = 'BUILD_INFO.json';
+
+const readPackage = () => JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+const currentCommit = () => {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+};
+
+const releaseFiles = () => [
+  `${app.paths.base.build}/**/*`,
+  ...app.config.release.exclude.map((glob) => `!${app.paths.base.build}/${glob}`),
+];
+
+/** Size and sha256 of the files going into the archive. */
+const hashFiles = async () => {
+  const files = [];
+  await pipeline(
+    app.gulp.src(releaseFiles(), { encoding: false }),
+    new Writable({
+      objectMode: true,
+      write(file, enc, cb) {
+        if (file.isDirectory() || file.relative === BUILD_INFO) return cb();
+        files.push({
+          path: file.relative.split(path.sep).join('/'),
+          size: file.contents.length,
+          sha256: crypto.createHash('sha256').update(file.contents).digest('hex'),
+        });
+        cb();
+      },
+    })
+  );
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+export const zipFiles = async () => {
+  const { name, version } = readPackage();
+  const commit = currentCommit();
+  const builtAt = new Date();
+  const target = fs.existsSync(path.join(app.paths.base.build, app.config.backend.manifest)) ? 'backend' : 'frontend';
+  const archive = [name, version, builtAt.toISOString().slice(0, 10), commit, target === 'backend' && target]
+    .filter(Boolean)
+    .join('-');
+
+  const files = await hashFiles();
+  const info = { name, version, target, commit, builtAt: builtAt.toISOString(), files };
+  fs.writeFileSync(path.join(app.paths.base.build, BUILD_INFO), JSON.stringify(info, null, 2));
+
+  await finished(
+    app.gulp.src(releaseFiles(), { encoding: false })
+      .pipe(zip(`${archive}.zip`))
+      .pipe(app.gulp.dest(app.config.release.dir))
+      .resume()
+  );
+  console.log(`[zip] ${app.config.release.dir}/${archive}.zip, ${files.length} files + ${BUILD_INFO}`);
+};
@@ -1,86 +1,156 @@
 import gulp from 'gulp';
 import browserSync from 'browser-sync';
 
-import { paths } from './gulp/config/paths.js';
+import { loadConfig } from './gulp/config/load.js';
+import { createPaths } from './gulp/config/paths.js';
 import { clean } from './gulp/tasks/clean.js';
 import { svgSprites } from './gulp/tasks/sprite.js';
+import { tokens } from './gulp/tasks/tokens.js';
 import { styles } from './gulp/tasks/styles.js';
 import { stylesBackend } from './gulp/tasks/styles-backend.js';
 import { scripts } from './gulp/tasks/scripts.js';
 import { scriptsBackend } from './gulp/tasks/scripts-backend.js';
 import { resources } from './gulp/tasks/resources.js';
+import { fonts } from './gulp/tasks/fonts.js';
 import { images } from './gulp/tasks/images.js';
 import { webpImages } from './gulp/tasks/webp.js';
+import { responsiveImages } from './gulp/tasks/responsive-images.js';
 import { htmlInclude } from './gulp/tasks/html-include.js';
-import { cacheTask } from './gulp/tasks/cache.js';
+import { criticalCss } from './gulp/tasks/critical-css.js';
+import { sitemap } from './gulp/tasks/sitemap.js';
+import { cacheTask, mergeScriptsManifest } from './gulp/tasks/cache.js';
 import { rewrite } from './gulp/tasks/rewrite.js';
 import { htmlMinify } from './gulp/tasks/html-minify.js';
+import { assetsManifest } from './gulp/tasks/assets-manifest.js';
+import { checkLinks } from './gulp/tasks/check-links.js';
+import { serviceWorker } from './gulp/tasks/service-worker.js';
+import { audit } from './gulp/tasks/audit.js';
+import { sizeReport } from './gulp/tasks/size-report.js';
 import { zipFiles } from './gulp/tasks/zip.js';
+import { mockApi } from './gulp/helpers/mock-api.js';
+
+const config = await loadConfig();
 
 global.app = {
   gulp,
   isProd: process.argv.includes('--build'),
-  paths,
+  config,
+  paths: createPaths(config.paths),
 };
 
 const watcher = () => {
   browserSync.init({
     server: {
       baseDir: `${app.paths.base.build}`,
+      middleware: app.config.mocks.enabled ? [mockApi()] : [],
     },
     notify: false,
-    port: 3000,
+    port: app.config.server.port,
   });
 
+  // The generated SCSS and JS modules then trigger styles and scripts.
+  gulp.watch(app.paths.srcTokens, tokens);
   gulp.watch(app.paths.srcScss, styles);
   gulp.watch(app.paths.srcFullJs, scripts);
+  gulp.watch(`${app.paths.srcPagesJsFolder}/*.js`, { events: ['add', 'unlink'] }, gulp.series(scripts, htmlInclude));
   gulp.watch(`${app.paths.srcPartialsFolder}/*.html`, htmlInclude);
-  gulp.watch(`${app.paths.base.src}/*.html`, htmlInclude);
+  gulp.watch(`${app.paths.base.src}/*.html`, gulp.series(htmlInclude, sitemap));
+  gulp.watch(`${app.paths.srcDataFolder}/*.{json,yml,yaml}`, htmlInclude);
+  gulp.watch(`${app.paths.srcLocalesFolder}/*.json`, htmlInclude);
   gulp.watch(`${app.paths.resourcesFolder}/**`, resources);
+  gulp.watch(`${app.paths.srcFontsFolder}/*.{ttf,otf,woff2}`, gulp.series(fonts, styles));
   gulp.watch(`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png,svg,webp}`, images);
   gulp.watch(`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png}`, webpImages);
-  gulp.watch(app.paths.srcSvg, svgSprites);
+  gulp.watch(`${app.paths.srcContentImgFolder}/**.{jpg,jpeg,png,webp}`, gulp.series(responsiveImages, htmlInclude));
+  gulp.watch(app.paths.srcSvg, gulp.series(svgSprites, htmlInclude));
+};
+
+// Pages are built again on script/style changes: assetsManifest rewrites them to the new hashes.
+const watcherBackend = () => {
+  gulp.watch(app.paths.srcTokens, tokens);
+  gulp.watch(app.paths.srcScss, gulp.series(stylesBackend, htmlInclude, assetsManifest));
+  gulp.watch(app.paths.srcFullJs, gulp.series(scriptsBackend, htmlInclude, assetsManifest));
+  gulp.watch([`${app.paths.base.src}/*.html`, `${app.paths.srcPartialsFolder}/**/*.html`], gulp.series(htmlInclude, assetsManifest));
+  gulp.watch(`${app.paths.resourcesFolder}/**`, resources);
+  gulp.watch(`${app.paths.srcFontsFolder}/*.{ttf,otf,woff2}`, gulp.series(fonts, stylesBackend, htmlInclude, assetsManifest));
+  gulp.watch(`${app.paths.srcImgFolder}/**/**.{jpg,jpeg,png,svg,webp}`, gulp.series(images, assetsManifest));
+  gulp.watch(app.paths.srcSvg, gulp.series(svgSprites, htmlInclude, assetsManifest));
 };
 
 const dev = gulp.series(
   clean,
-  htmlInclude,
-  scripts,
-  styles,
-  resources,
+  fonts,
   images,
   webpImages,
+  responsiveImages,
   svgSprites,
+  tokens,
+  scripts,
+  htmlInclude,
+  sitemap,
+  styles,
+  resources,
   watcher
 );
 const backend = gulp.series(
   clean,
-  htmlInclude,
+  fonts,
+  images,
+  webpImages,
+  responsiveImages,
+  svgSprites,
+  tokens,
   scriptsBackend,
+  htmlInclude,
   stylesBackend,
   resources,
-  images,
-  webpImages,
-  svgSprites
+  assetsManifest
 );
+const backendWatch = gulp.series(backend, watcherBackend);
 const build = gulp.series(
   clean,
-  htmlInclude,
-  scripts,
-  styles,
-  resources,
+  fonts,
   images,
   webpImages,
+  responsiveImages,
   svgSprites,
-  htmlMinify
+  tokens,
+  scripts,
+  htmlInclude,
+  sitemap,
+  styles,
+  resources,
+  criticalCss,
+  htmlMinify,
+  checkLinks,
+  audit,
+  sizeReport
 );
-const cache = gulp.series(cacheTask, rewrite);
+const cache = gulp.series(cacheTask, mergeScriptsManifest, rewrite, serviceWorker, checkLinks);
 const zip = zipFiles;
 
+// Archives are always production builds, whatever the flags.
+const production = async () => {
+  app.isProd = true;
+};
+// Frontend archives hold the revved build that gets deployed.
+const releaseTargets = {
+  frontend: gulp.series(build, cache, zipFiles),
+  backend: gulp.series(backend, zipFiles),
+};
+const release = gulp.series(production, ...app.config.release.targets.map((target) => releaseTargets[target]));
+
 export { dev };
 export { build };
 export { backend };
+export { backendWatch };
 export { cache };
 export { zip };
+export { release };
+export { tokens };
+export { checkLinks };
+export { serviceWorker };
+export { audit };
+export { sizeReport };
 
 gulp.task('default', dev);
@@ -0,0 +1,77 @@
+/**
+ * Build settings of this project, read by every gulp task through `app.config`.
+ * Keys, types and defaults are documented in gulp/config/schema.js; anything left out
+ * takes its default.
+ *
+ * `env.<name>` sections override the settings for `--env <name>`:
+ *   gulp build --build --env staging
+ */
+export default {
+  paths: {
+    src: "./src",
+    build: "./app",
+  },
+  browsers: ["last 5 versions"],
+  scripts: {
+    targets: "defaults",
+    vendor: ["swiper", "lenis", "inputmask"],
+  },
+  server: {
+    port: 3000,
+  },
+  mocks: {
+    enabled: true,
+    latency: [200, 800],
+    failRate: 0,
+  },
+  site: {
+    // `SITE_URL=https://example.com npm run build` overrides it per deploy.
+    baseUrl: process.env.SITE_URL || "https://example.com",
+  },
+  i18n: {
+    defaultLocale: "ru",
+    locales: {
+      ru: { lang: "ru", typograf: ["ru", "en-US"] },
+      en: { lang: "en", typograf: ["en-US"] },
+    },
+  },
+  fonts: {
+    subset: false,
+    preload: ["EuclidCircularA-Regular", "EuclidCircularA-Medium"],
+  },
+  backend: {
+    // e.g. "../wordpress/wp-content/themes/persik/assets"
+    themeDir: "",
+  },
+  sprite: {
+    mode: "symbol",
+  },
+  sizes: {
+    compression: "gzip",
+    budgets: {
+      "entry:*": { warning: "80 kB", error: "120 kB" },
+      "css/main.css": { warning: "30 kB", error: "50 kB" },
+      "fonts/*": "40 kB",
+      "img/**": { warning: "600 kB" },
+    },
+  },
+  links: {
+    // Referenced by the partials, not in the repository yet: drop each entry once its
+    // file is in src/img or src/resources/video.
+    ignore: [
+      "img/logo*.svg",
+      "video/u1819345318_People_wearing_VR_glasses_explore_the_world_throu_144a179b.mp4",
+    ],
+  },
+  audit: {
+    failOn: "error",
+    rules: { "label-for": "error" },
+  },
+  env: {
+    staging: {
+      site: {
+        baseUrl: process.env.SITE_URL || "https://staging.example.com",
+      },
+    },
+  },
+};
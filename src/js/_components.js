@@ -0,0 +1,148 @@
+import { mediaUp } from "./tokens.js";
+import * as breakpointMover from "./components/BreakpointMover.js";
+
+/**
+ * Component declarations for the ComponentRegistry.
+ * Each entry gets its own chunk, requested only when `selector` matches on the page.
+ * BreakpointMover is the exception: bundled into main, so the header is moved into the
+ * mobile menu before the first paint instead of after a chunk download.
+ *
+ * when: "load" → mounted as soon as the registry starts (above the fold);
+ * when: "idle" → mounted after the first interaction / idle callback.
+ */
+
+/** @type {import("./components/ComponentRegistry.js").ComponentDef[]} */
+export const components = [
+  {
+    name: "move",
+    selector: "[data-move]",
+    when: "load",
+    load: () => Promise.resolve(breakpointMover),
+    mount: (el, { BreakpointMover, createRule }) => {
+      const mover = new BreakpointMover([createRule(el)]);
+      mover.init();
+      return mover;
+    },
+  },
+  {
+    name: "lazy-video",
+    selector: "video[data-lazy]",
+    when: "load",
+    load: () =>
+      import(
+        /* webpackChunkName: "lazy-video" */ "./components/LazyVideoManager.js"
+      ),
+    mount: (el, { LazyVideoManager }) =>
+      new LazyVideoManager({
+        mode: "viewport",
+        rootMargin: "300px 0px",
+        autoplay: false,
+      }).add(el),
+  },
+  {
+    name: "nav-menu",
+    selector: ".header__nav",
+    load: () =>
+      import(/* webpackChunkName: "nav-menu" */ "./components/NavMenu.js"),
+    mount: (el, { NavMenu }) =>
+      new NavMenu(el, {
+        itemSel: ".header__nav-item",
+        btnSel: ".nav-item__btn",
+        activeCl: "_is-active",
+        mq: mediaUp.mobile,
+        clearOnLeave: true,
+        escToClear: true,
+      }),
+  },
+  {
+    name: "slider",
+    selector: "[data-slider]",
+    load: () =>
+      import(/* webpackChunkName: "slider" */ "./components/Slider.js"),
+    mount: (el, { Slider }) => new Slider(el).init(),
+  },
+  {
+    name: "select",
+    selector: "[data-select]",
+    load: () =>
+      import(
+        /* webpackChunkName: "select" */ "./components/AccessibleSelect.js"
+      ),
+    mount: (el, { AccessibleSelect }) =>
+      new AccessibleSelect(el, {
+        multiple: true,
+        valueSeparator: ", ",
+        resetButton: el.closest("form")?.querySelector("[data-reset-btn]"),
+      }),
+  },
+  {
+    name: "file-input",
+    selector: "[data-file-input]",
+    load: () =>
+      import(
+        /* webpackChunkName: "file-input" */ "./components/FileInputController.js"
+      ),
+    mount: (el, { FileInputController }) => new FileInputController(el),
+  },
+  {
+    name: "mask",
+    selector: "[data-tel-mask], [data-mail-mask], [data-name-mask]",
+    load: () =>
+      import(
+        /* webpackChunkName: "input-mask" */ "./components/InputMaskManager.js"
+      ),
+    mount: (el, { InputMaskManager }) => {
+      const masks = new InputMaskManager();
+      masks.apply(el);
+      return masks;
+    },
+  },
+  {
+    name: "form",
+    selector: "form[data-ajax]",
+    load: () =>
+      Promise.all([
+        import(/* webpackChunkName: "form" */ "./components/FormController.js"),
+        import(/* webpackChunkName: "form" */ "./components/FormValidator.js"),
+      ]).then((mods) => Object.assign({}, ...mods)),
+    mount: (form, { FormController, FormValidator }) => {
+      const validator = new FormValidator(form).init();
+      const controller = new FormController(form, { validator });
+      const onModalClosed = (e) => {
+        if (e.target.contains(form)) controller.resetState();
+      };
+      document.addEventListener("modal:closed", onModalClosed);
+      return {
+        destroy() {
+          document.removeEventListener("modal:closed", onModalClosed);
+          controller.destroy();
+          validator.destroy();
+        },
+      };
+    },
+  },
+  {
+    name: "toggle",
+    selector: "[data-toggle]",
+    load: () =>
+      import(/* webpackChunkName: "toggle" */ "./components/ToggleGroup.js"),
+    mount: (el, { ToggleGroup, createRule }) => {
+      const group = new ToggleGroup([createRule(el)]);
+      group.init();
+      return group;
+    },
+  },
+  {
+    name: "switch",
+    selector: "[data-switch]",
+    load: () =>
+      import(
+        /* webpackChunkName: "switch" */ "./components/SwitchController.js"
+      ),
+    mount: (el, { SwitchController, createControllerRule }, { scroll }) => {
+      const ctrl = new SwitchController([createControllerRule(el)], { scroll });
+      ctrl.init();
+      return ctrl;
+    },
+  },
+];
@@ -1,3 +1,6 @@
+import { U } from "../functions/utils.js";
+import { mediaDown } from "../tokens.js";
+
 /**
  * @typedef {{element:HTMLElement,from:HTMLElement,to:HTMLElement,mq:MediaQueryList}} MoveRule
  */
@@ -22,20 +25,42 @@ export class BreakpointMover {
   handle(rule, e) {
     e.matches ? rule.to.append(rule.element) : rule.from.append(rule.element);
   }
+
+  destroy() {
+    this.rules.forEach((rule) => {
+      if (rule.handler) rule.mq.removeEventListener("change", rule.handler);
+    });
+  }
 }
 
-const parseConfig = (str) =>
-  Object.fromEntries(str.split(";").map((p) => p.split(":")));
+/**
+ * data-move="from:.header__container;to:.menu__body;query:(max-width: 48em)"
+ * `from` defaults to the element's current parent, `query` to the mobile breakpoint
+ * of src/tokens.json.
+ */
+const SCHEMA = {
+  from: { type: "selector" },
+  to: { type: "selector", required: true },
+  query: { type: "string", default: mediaDown.mobile },
+};
+
+/**
+ * @param {HTMLElement} el [data-move] element
+ * @returns {MoveRule}
+ * @throws when `from` or `to` matches nothing, the element would be appended to null
+ */
+export const createRule = (el) => {
+  const cfg = U.parseConfig(el.dataset.move, SCHEMA, { name: "move", el });
+  const from = cfg.from ? document.querySelector(cfg.from) : el.parentElement;
+  const to = cfg.to ? document.querySelector(cfg.to) : null;
+  if (!from || !to) {
+    const key = to ? "from" : "to";
+    throw new Error(
+      `BreakpointMover: "${key}" matches nothing in data-move="${el.dataset.move}" of <${el.tagName.toLowerCase()} class="${el.className}">`
+    );
+  }
+  return { element: el, from, to, mq: window.matchMedia(cfg.query) };
+};
 
 export const createRules = () =>
-  [...document.querySelectorAll("[data-move]")].map((el) => {
-    const cfg = parseConfig(el.dataset.move);
-    return {
-      element: el,
-      from: document.querySelector(cfg.from),
-      to: document.querySelector(cfg.to),
-      mq: cfg.query
-        ? window.matchMedia(cfg.query)
-        : window.matchMedia("(max-width: 48em)"),
-    };
-  });
+  [...document.querySelectorAll("[data-move]")].map(createRule);
@@ -0,0 +1,194 @@
+/**
+ * ComponentRegistry: mounts components by selector, loading each one's chunk on demand.
+ *
+ * Every component is declared once (see `_components.js`):
+ *   {
+ *     name: "select",
+ *     selector: "[data-select]",
+ *     load: () => import("./components/AccessibleSelect.js"),
+ *     mount: (el, { AccessibleSelect }) => new AccessibleSelect(el),
+ *     when: "idle",
+ *   }
+ *
+ * mount() gets the registry `context` as third argument, for shared instances the
+ * component modules should not import from main.js (e.g. { scroll: lenis }).
+ *
+ * - A chunk is requested only when its selector matches something on the page.
+ * - `when: "load"` components mount right away, `when: "idle"` ones (default) after wake().
+ * - Nodes added later (modal contents, AJAX fragments) are mounted through a MutationObserver;
+ *   instances whose element left the document get their destroy() called.
+ * - An element is mounted at most once per component.
+ *
+ * Public API:
+ *   const registry = new ComponentRegistry(components, { context }).init();
+ *   registry.wake();            // allow "idle" components
+ *   registry.scan(fragmentRoot) // mount inside a subtree by hand
+ *   registry.destroy();
+ */
+
+/**
+ * @typedef {{destroy?: () => void}} ComponentInstance
+ */
+
+/**
+ * @typedef {Object} ComponentDef
+ * @property {string} name
+ * @property {string} selector
+ * @property {() => Promise<any>} load dynamic import of the component module
+ * @property {(el: HTMLElement, mod: any, context: Object) => ComponentInstance|void} mount
+ * @property {"load"|"idle"} [when="idle"]
+ */
+
+export class ComponentRegistry {
+  /**
+   * @param {ComponentDef[]} defs
+   * @param {Object} [opts]
+   * @param {Element} [opts.root=document.documentElement]
+   * @param {boolean} [opts.observe=true] watch for added/removed nodes
+   * @param {Object} [opts.context={}] passed to every mount()
+   */
+  constructor(
+    defs,
+    { root = document.documentElement, observe = true, context = {} } = {}
+  ) {
+    this.defs = defs;
+    this.root = root;
+    this.observe = observe;
+    this.context = context;
+    this.awake = false;
+
+    /** @type {Map<string, Promise<any>>} */
+    this._modules = new Map();
+    /** @type {Map<Element, Map<string, ComponentInstance|Promise<void>>>} */
+    this._mounted = new Map();
+    this._mo = null;
+  }
+
+  init() {
+    this.scan(this.root);
+
+    if (this.observe && "MutationObserver" in window) {
+      this._mo = new MutationObserver((records) => this._onMutations(records));
+      this._mo.observe(this.root, { childList: true, subtree: true });
+    }
+    return this;
+  }
+
+  /** Enables "idle" components and mounts the ones already on the page. */
+  wake() {
+    if (this.awake) return;
+    this.awake = true;
+    this.scan(this.root);
+  }
+
+  /**
+   * Mounts every active component matching inside root (root included).
+   * @param {ParentNode & Element} root
+   */
+  scan(root) {
+    this._activeDefs().forEach((def) => {
+      const nodes = Array.from(root.querySelectorAll(def.selector));
+      if (root.matches?.(def.selector)) nodes.unshift(root);
+      nodes.forEach((el) => this._mount(def, el));
+    });
+  }
+
+  /**
+   * Destroys instances whose element is inside root (root included).
+   * @param {Node} root
+   */
+  unmount(root) {
+    for (const el of Array.from(this._mounted.keys())) {
+      if (root === el || root.contains(el)) this._destroyEl(el);
+    }
+  }
+
+  destroy() {
+    this._mo?.disconnect();
+    this._mo = null;
+    for (const el of Array.from(this._mounted.keys())) this._destroyEl(el);
+  }
+
+  /** @private */
+  _activeDefs() {
+    return this.defs.filter((d) => this.awake || d.when === "load");
+  }
+
+  /** @private */
+  _load(def) {
+    if (!this._modules.has(def.name)) {
+      this._modules.set(def.name, def.load());
+    }
+    return this._modules.get(def.name);
+  }
+
+  /** @private */
+  _mount(def, el) {
+    let byName = this._mounted.get(el);
+    if (byName?.has(def.name)) return;
+    if (!byName) this._mounted.set(el, (byName = new Map()));
+
+    const pending = this._load(def)
+      .then((mod) => {
+        // The element may have been removed while the chunk was loading; if it was
+        // re-inserted, the registry holds a newer mount for it and this one is stale.
+        if (!el.isConnected || this._mounted.get(el)?.get(def.name) !== pending)
+          return;
+        const inst = def.mount(
+          /** @type {HTMLElement} */ (el),
+          mod,
+          this.context
+        );
+        byName.set(def.name, inst || {});
+      })
+      .catch((err) => {
+        byName.delete(def.name);
+        console.warn(
+          `[registry] ${def.name} failed to mount:`,
+          err?.message || err
+        );
+      });
+    byName.set(def.name, pending);
+  }
+
+  /** @private */
+  _destroyEl(el) {
+    const byName = this._mounted.get(el);
+    this._mounted.delete(el);
+    byName?.forEach((inst, name) => {
+      if (inst instanceof Promise) return;
+      try {
+        inst.destroy?.();
+      } catch (err) {
+        console.warn(
+          `[registry] ${name} failed to destroy:`,
+          err?.message || err
+        );
+      }
+    });
+  }
+
+  /**
+   * Records are processed after the batch settles, so nodes that were only moved
+   * (e.g. by BreakpointMover) are still connected and keep their instances.
+   * @private
+   * @param {MutationRecord[]} records
+   */
+  _onMutations(records) {
+    let removed = false;
+    records.forEach((r) => {
+      if (r.removedNodes.length) removed = true;
+      r.addedNodes.forEach((node) => {
+        if (node.nodeType === 1 && node.isConnected) {
+          this.scan(/** @type {Element} */ (node));
+        }
+      });
+    });
+
+    if (removed) {
+      for (const el of Array.from(this._mounted.keys())) {
+        if (!el.isConnected) this._destroyEl(el);
+      }
+    }
+  }
+}
@@ -11,7 +11,7 @@
  * Responsibilities split (SOLID):
  * - FileSizeParser: parses human strings ("2 MB", "до 2 мб", "1.5kb") -> bytes
  * - FileValidator: validates File against a MaxFilePolicy
- * - FileFieldView: reads/writes DOM state (placeholder, aria, dataset)
+ * - FileFieldView: reads/writes DOM state (placeholder, dataset)
  * - FileInputController: wires <input type="file"> with view + validator
  *
  * Public API:
@@ -21,8 +21,10 @@
  *
  * Custom events dispatched on the <label data-file-input>:
  * - "fileinput:valid"   detail: { file }
- * - "fileinput:invalid" detail: { file, reason: "size" }
+ * - "fileinput:invalid" detail: { file, reason: "size", limit: "до 2 мб" }
  * - "fileinput:clear"
+ *
+ * Error state and messages are rendered by FormValidator from these events.
  */
 
 class FileSizeParser {
@@ -120,6 +122,7 @@ class FileFieldView {
     if (!this.root || !this.field || !this.input) {
       throw new Error("Invalid data-file-input structure.");
     }
+    this.initialPlaceholder = this.placeholder;
   }
 
   /** Current placeholder text from data-placeholder */
@@ -137,22 +140,8 @@ class FileFieldView {
     return this.field.getAttribute("data-file-size") || "";
   }
 
-  markValid() {
-    this.root.removeAttribute("aria-invalid");
-    this.root.dataset.error = "";
-  }
-
-  /**
-   * @param {string} reason
-   * @param {string} message
-   */
-  markInvalid(reason, message) {
-    this.root.setAttribute("aria-invalid", "true");
-    this.root.dataset.error = message || reason;
-  }
-
   clearVisual() {
-    this.placeholder = this.field.getAttribute("data-placeholder") || "";
+    this.placeholder = this.initialPlaceholder;
   }
 
   dispatch(name, detail) {
@@ -176,9 +165,17 @@ export class FileInputController {
 
     this.onChange = this.onChange.bind(this);
     this.onInputClear = this.onInputClear.bind(this);
+    this.onFormReset = this.onFormReset.bind(this);
 
     this.view.input.addEventListener("change", this.onChange);
     this.view.input.addEventListener("click", this.onInputClear, true);
+    this.view.input.form?.addEventListener("reset", this.onFormReset);
+  }
+
+  /** Form reset empties the input without a change event */
+  onFormReset() {
+    this.view.clearVisual();
+    this.view.dispatch("fileinput:clear");
   }
 
   /** Clear selection placeholder if user re-opens picker and cancels */
@@ -200,24 +197,20 @@ export class FileInputController {
     const res = this.validator.validate(file);
     if (res.ok) {
       this.view.placeholder = file.name;
-      this.view.markValid();
       this.view.dispatch("fileinput:valid", { file });
     } else {
-      this.view.markInvalid(res.reason, this.buildSizeMessage());
-      this.view.dispatch("fileinput:invalid", { file, reason: res.reason });
+      this.view.dispatch("fileinput:invalid", {
+        file,
+        reason: res.reason,
+        limit: this.view.getMaxSizeString(),
+      });
     }
   }
 
-  buildSizeMessage() {
-    const original = this.view.getMaxSizeString();
-    return original
-      ? `File exceeds limit (${original}).`
-      : "File is too large.";
-  }
-
   destroy() {
     this.view.input.removeEventListener("change", this.onChange);
     this.view.input.removeEventListener("click", this.onInputClear, true);
+    this.view.input.form?.removeEventListener("reset", this.onFormReset);
   }
 
   /**
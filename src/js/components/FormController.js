@@ -0,0 +1,400 @@
+/**
+ * FormController: AJAX submission for <form data-ajax>.
+ *
+ * Markup contract:
+ * <form action="/api/request" method="post" data-ajax data-encoding="multipart" data-retries="2">
+ *   <div class="field"><input name="tel" data-tel-mask></div>
+ *   <fieldset class="field select" data-select> ... <input class="select__input" type="hidden" name="services"></fieldset>
+ *   <label class="field" data-file-input> ... <input type="file" name="file"></label>
+ *   <button type="submit">Send</button>
+ * </form>
+ *
+ * Form attributes (all optional, options passed to the constructor win):
+ * - data-encoding="multipart|json"  request body format (default "multipart").
+ *   JSON cannot carry files, so a form with attached files is always sent as multipart.
+ * - data-retries="2"                retries on network errors and 5xx responses.
+ * - data-timeout="15000"            per-attempt timeout, ms.
+ *   Missing or malformed numbers fall back to the defaults (1 retry, 15000 ms).
+ *
+ * Responsibilities split:
+ * - FormSerializer: reads fields (incl. hidden select inputs and files) into FormData / plain object
+ * - FormTransport: fetch with timeout and retries, parses the response
+ * - FormController: validation gate, loading/success/error states, events
+ *
+ * State classes on the form: `_is-loading`, `_is-success`, `_is-error`.
+ *
+ * Custom events dispatched on the form (bubbling):
+ * - "form:submit"  detail: { data }                     cancelable, fired before the request
+ * - "form:invalid" detail: { fields }                   submit refused, fields with errors
+ * - "form:success" detail: { data, status, response }
+ * - "form:error"   detail: { data, status, response, errors, error }
+ *   also when a validator or a "form:submit" listener throws (status 0, data null)
+ *
+ * A 422 response may carry `{ "errors": { "<field name>": "<message>" } }`;
+ * the messages are rendered through the FormValidator (or the matching `.field`
+ * wrappers just get `_has-error` when the form has none).
+ *
+ * Public API:
+ * - new FormController(form, { fetch?, encoding?, retries?, timeout?, validator? })
+ * - controller.submit(), controller.resetState(), controller.destroy()
+ * - FormController.bootstrap(root = document)
+ */
+
+import { U } from "../functions/utils.js";
+
+const STATE = {
+  loading: "_is-loading",
+  success: "_is-success",
+  error: "_is-error",
+};
+
+class FormSerializer {
+  /**
+   * @param {HTMLFormElement} form
+   * @param {string} [valueSeparator=", "] must match AccessibleSelect's valueSeparator
+   */
+  constructor(form, valueSeparator = ", ") {
+    this.form = form;
+    this.valueSeparator = valueSeparator;
+  }
+
+  /** @returns {FormData} */
+  toFormData() {
+    const data = new FormData(this.form);
+
+    // A select whose hidden input has no name is posted under its fieldset's data-name.
+    U.qsa("[data-select]", this.form).forEach((fs) => {
+      const input = U.qs("input.select__input", fs);
+      const name = fs.dataset.name;
+      if (input && !input.name && name) data.set(name, input.value);
+    });
+
+    // Drop empty file inputs: browsers send them as a nameless zero-byte file.
+    for (const [key, value] of Array.from(data.entries())) {
+      if (value instanceof File && !value.name && !value.size) {
+        data.delete(key);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * @param {FormData} data
+   * @returns {Record<string, string|string[]>}
+   */
+  toObject(data) {
+    const multiSelects = new Set(
+      U.qsa("[data-select]", this.form)
+        .filter((fs) =>
+          U.qs('[role="listbox"][aria-multiselectable="true"]', fs)
+        )
+        .map((fs) => U.qs("input.select__input", fs)?.name || fs.dataset.name)
+        .filter(Boolean)
+    );
+
+    const out = {};
+    for (const [key, value] of data.entries()) {
+      if (value instanceof File) continue;
+      if (multiSelects.has(key)) {
+        out[key] = value
+          .split(this.valueSeparator)
+          .map((s) => s.trim())
+          .filter(Boolean);
+      } else if (key in out) {
+        out[key] = [].concat(out[key], value);
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  }
+
+  /** @param {FormData} data */
+  static hasFiles(data) {
+    for (const value of data.values()) {
+      if (value instanceof File) return true;
+    }
+    return false;
+  }
+}
+
+/** A non-negative number from a data attribute, `fallback` when missing or malformed. */
+const numberAttr = (value, fallback) => {
+  const n = value ? Number(value) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+class FormTransport {
+  /**
+   * @param {Object} opts
+   * @param {typeof fetch} opts.fetch
+   * @param {number} opts.retries
+   * @param {number} opts.timeout
+   * @param {number} [opts.retryDelay=600] base delay, doubled on every attempt
+   */
+  constructor({ fetch, retries, timeout, retryDelay = 600 }) {
+    this.fetch = fetch;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * @param {string} url
+   * @param {RequestInit} init
+   * @returns {Promise<{ok:boolean,status:number,body:any}>}
+   */
+  async send(url, init) {
+    let attempt = 0;
+    for (;;) {
+      try {
+        const res = await this._once(url, init);
+        if (res.status < 500 || attempt >= this.retries) return res;
+      } catch (err) {
+        if (attempt >= this.retries) throw err;
+      }
+      await new Promise((r) => setTimeout(r, this.retryDelay * 2 ** attempt));
+      attempt++;
+    }
+  }
+
+  /** @private */
+  async _once(url, init) {
+    const ctrl = new AbortController();
+    const timer = this.timeout
+      ? setTimeout(() => ctrl.abort(), this.timeout)
+      : null;
+    try {
+      const res = await this.fetch(url, { ...init, signal: ctrl.signal });
+      const type = res.headers.get("content-type") || "";
+      const body = type.includes("application/json")
+        ? await res.json().catch(() => null)
+        : await res.text();
+      return { ok: res.ok, status: res.status, body };
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+}
+
+export class FormController {
+  /**
+   * @param {HTMLFormElement} form form[data-ajax]
+   * @param {Object} [opts]
+   * @param {typeof fetch} [opts.fetch=window.fetch] injectable for tests / mock endpoints
+   * @param {"multipart"|"json"} [opts.encoding]
+   * @param {number} [opts.retries]
+   * @param {number} [opts.timeout]
+   * @param {import("./FormValidator.js").FormValidator|null} [opts.validator=null] runs before every submit
+   * @param {string} [opts.invalidSel='.field._has-error, .field._incomplete']
+   * @param {boolean} [opts.resetOnSuccess=true]
+   */
+  constructor(form, opts = {}) {
+    this.form = form;
+    const ds = form.dataset;
+
+    this.opts = {
+      encoding: ds.encoding === "json" ? "json" : "multipart",
+      retries: numberAttr(ds.retries, 1),
+      timeout: numberAttr(ds.timeout, 15000),
+      validator: null,
+      invalidSel: ".field._has-error, .field._incomplete",
+      resetOnSuccess: true,
+      ...opts,
+    };
+
+    this.serializer = new FormSerializer(form);
+    this.transport = new FormTransport({
+      fetch: this.opts.fetch || window.fetch.bind(window),
+      retries: this.opts.retries,
+      timeout: this.opts.timeout,
+    });
+
+    this.busy = false;
+    // From submit() until the request settles, validation included.
+    this.submitting = false;
+
+    this.onSubmit = this.onSubmit.bind(this);
+    this.onInput = this.onInput.bind(this);
+    form.addEventListener("submit", this.onSubmit);
+    form.addEventListener("input", this.onInput);
+  }
+
+  onSubmit(e) {
+    e.preventDefault();
+    this.submit().catch((error) => {
+      console.error("[FormController] submit failed:", error);
+      this._setState(STATE.error);
+      this._dispatch("form:error", {
+        data: null,
+        status: 0,
+        response: null,
+        errors: {},
+        error,
+      });
+    });
+  }
+
+  /** Leaving the success/error state as soon as the user edits the form again. */
+  onInput() {
+    if (this.busy) return;
+    U.removeClass(this.form, STATE.success);
+    U.removeClass(this.form, STATE.error);
+  }
+
+  /** @returns {HTMLElement[]} fields that currently block submission */
+  getInvalidFields() {
+    return U.qsa(this.opts.invalidSel, this.form);
+  }
+
+  /** @returns {Promise<boolean>} true on a successful response */
+  async submit() {
+    // `busy` only covers the request: a second submit during async validation would
+    // send it twice.
+    if (this.busy || this.submitting) return false;
+
+    this.submitting = true;
+    try {
+      return await this._submit();
+    } finally {
+      this.submitting = false;
+    }
+  }
+
+  /** @private */
+  async _submit() {
+    if (this.opts.validator && !(await this.opts.validator.validate())) {
+      this._dispatch("form:invalid", { fields: this.getInvalidFields() });
+      return false;
+    }
+
+    const invalid = this.getInvalidFields();
+    if (invalid.length || (!this.form.noValidate && !this.form.checkValidity())) {
+      if (!invalid.length) this.form.reportValidity();
+      this._dispatch("form:invalid", { fields: invalid });
+      return false;
+    }
+
+    const formData = this.serializer.toFormData();
+    const asJson =
+      this.opts.encoding === "json" && !FormSerializer.hasFiles(formData);
+    const data = asJson ? this.serializer.toObject(formData) : formData;
+
+    if (!this._dispatch("form:submit", { data }, true)) return false;
+
+    this._setState(STATE.loading);
+
+    let res = null;
+    try {
+      res = await this.transport.send(this._url(), {
+        method: (this.form.getAttribute("method") || "post").toUpperCase(),
+        headers: asJson
+          ? { "Content-Type": "application/json", Accept: "application/json" }
+          : { Accept: "application/json" },
+        body: asJson ? JSON.stringify(data) : data,
+      });
+    } catch (error) {
+      this._setState(STATE.error);
+      this._dispatch("form:error", {
+        data,
+        status: 0,
+        response: null,
+        errors: {},
+        error,
+      });
+      return false;
+    }
+
+    if (!res.ok) {
+      const errors = (res.body && res.body.errors) || {};
+      this._markServerErrors(errors);
+      this._setState(STATE.error);
+      this._dispatch("form:error", {
+        data,
+        status: res.status,
+        response: res.body,
+        errors,
+        error: null,
+      });
+      return false;
+    }
+
+    this._setState(STATE.success);
+    if (this.opts.resetOnSuccess) this.form.reset();
+    this._dispatch("form:success", {
+      data,
+      status: res.status,
+      response: res.body,
+    });
+    return true;
+  }
+
+  /** Back to the idle state, e.g. when the surrounding modal is closed. */
+  resetState() {
+    if (this.busy) return;
+    this._setState(null);
+  }
+
+  destroy() {
+    this.form.removeEventListener("submit", this.onSubmit);
+    this.form.removeEventListener("input", this.onInput);
+  }
+
+  /** @private */
+  _url() {
+    return this.form.getAttribute("action") || location.href;
+  }
+
+  /** @private */
+  _setState(state) {
+    Object.values(STATE).forEach((cl) =>
+      cl === state ? U.addClass(this.form, cl) : U.removeClass(this.form, cl)
+    );
+    this.busy = state === STATE.loading;
+    this.form.setAttribute("aria-busy", String(this.busy));
+    U.qsa('[type="submit"]', this.form).forEach((btn) => {
+      btn.disabled = this.busy;
+    });
+  }
+
+  /** @private */
+  _markServerErrors(errors) {
+    if (this.opts.validator) {
+      this.opts.validator.showErrors(errors);
+      return;
+    }
+    Object.keys(errors).forEach((name) => {
+      const input = this.form.elements.namedItem(name);
+      const el = input instanceof RadioNodeList ? input[0] : input;
+      FormController.fieldOf(el)?.classList.add("_has-error");
+    });
+  }
+
+  /** @private */
+  _dispatch(name, detail, cancelable = false) {
+    return this.form.dispatchEvent(
+      new CustomEvent(name, { detail, bubbles: true, cancelable })
+    );
+  }
+
+  /**
+   * @param {Element|null} el
+   * @returns {HTMLElement|null}
+   */
+  static fieldOf(el) {
+    return el?.closest?.(".field") || null;
+  }
+
+  /**
+   * Convenience bootstrap: instantiate for all form[data-ajax] under root.
+   * @param {ParentNode} [root=document]
+   * @param {Object} [opts]
+   * @returns {FormController[]}
+   */
+  static bootstrap(root = document, opts) {
+    return U.qsa("form[data-ajax]", root).map(
+      (form) => new FormController(form, opts)
+    );
+  }
+}
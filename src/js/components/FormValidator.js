@@ -0,0 +1,439 @@
+/**
+ * FormValidator: declarative validation for fields inside `.field` wrappers.
+ *
+ * Rules are declared on the control, separated by `;`, arguments after `:`:
+ * <div class="field">
+ *   <input id="password-repeat" name="password2" data-validate="required;minlength:8;match:#password">
+ * </div>
+ *
+ * Built-in rules:
+ * - required                    non-empty value / checked box / attached file
+ * - minlength:N                 at least N characters
+ * - pattern                     regex from the `pattern` or `data-pattern` attribute (whole value)
+ * - email                       e-mail address
+ * - phone-complete              masked phone filled in completely
+ * - match:<selector>            same value as another control in the form
+ * - any rule added through FormValidator.addRule(), sync or async
+ *
+ * Other components report into the same engine instead of toggling their own classes:
+ * - InputMaskManager dispatches "field:report" (see reportField) from mask callbacks;
+ * - FileInputController dispatches "fileinput:valid|invalid|clear", mapped to the "filesize" rule.
+ *
+ * Rendering, per `.field`:
+ * - `_has-error` on the field, `aria-invalid` on the control (or the select button)
+ * - `<p class="field__error">` with a localized (ru/en) message, linked through `aria-describedby`
+ * - messages can be overridden per control: data-msg-required="...", data-msg-minlength="..."
+ *
+ * Timing: a field is validated on blur, re-validated on input once it has shown an error,
+ * and the whole form is validated on submit. Forms without [data-ajax] are guarded on
+ * their own; for [data-ajax] forms FormController calls validate() before sending.
+ *
+ * Custom events dispatched on the form (bubbling):
+ * - "form:validated" detail: { valid, fields }
+ *
+ * Public API:
+ * - const v = new FormValidator(form, { locale? }).init()
+ * - await v.validate(), await v.validateField(control), v.showErrors({ name: "msg" })
+ * - v.reset(), v.destroy()
+ * - FormValidator.addRule(name, (value, arg, control, form) => boolean|Promise<boolean>, { ru, en })
+ */
+
+import { U } from "../functions/utils.js";
+
+const MESSAGES = {
+  ru: {
+    required: "Заполните это поле",
+    minlength: "Минимум {arg} символов",
+    pattern: "Неверный формат",
+    email: "Введите корректный e-mail",
+    "phone-complete": "Введите номер телефона полностью",
+    match: "Значения не совпадают",
+    filesize: "Файл превышает допустимый размер ({limit})",
+    fallback: "Проверьте значение",
+  },
+  en: {
+    required: "This field is required",
+    minlength: "At least {arg} characters",
+    pattern: "Invalid format",
+    email: "Enter a valid e-mail",
+    "phone-complete": "Enter the full phone number",
+    match: "Values do not match",
+    filesize: "File exceeds the size limit ({limit})",
+    fallback: "Check this value",
+  },
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/u;
+
+/** @type {Record<string, (value:string, arg:string, control:HTMLInputElement, form:HTMLFormElement) => boolean|Promise<boolean>>} */
+const RULES = {
+  required: (value, arg, control) => {
+    if (control.type === "checkbox" || control.type === "radio")
+      return control.checked;
+    if (control.type === "file") return !!control.files?.length;
+    return value.trim() !== "";
+  },
+  minlength: (value, arg) => !value || value.length >= Number(arg),
+  pattern: (value, arg, control) => {
+    const src = control.getAttribute("pattern") || control.dataset.pattern;
+    return !value || !src || new RegExp(`^(?:${src})$`, "u").test(value);
+  },
+  email: (value) => !value || EMAIL_RE.test(value),
+  "phone-complete": (value, arg, control) => {
+    if (!value) return true;
+    if (control.inputmask) return control.inputmask.isComplete();
+    return value.replace(/\D/g, "").length >= 11;
+  },
+  match: (value, arg, control, form) => {
+    const other = arg ? U.qs(arg, form) : null;
+    return !other || value === other.value;
+  },
+};
+
+/**
+ * Lets masks and other widgets report a rule result for a control.
+ * @param {HTMLElement} control
+ * @param {string} rule
+ * @param {boolean} valid
+ */
+export function reportField(control, rule, valid) {
+  control.dispatchEvent(
+    new CustomEvent("field:report", { detail: { rule, valid }, bubbles: true })
+  );
+}
+
+/**
+ * Parses `required;minlength:3;match:#a` into [{ name, arg }].
+ * @param {string} str
+ * @returns {{name:string,arg:string}[]}
+ */
+const parseRules = (str) =>
+  (str || "")
+    .split(";")
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => {
+      const i = p.indexOf(":");
+      return i < 0
+        ? { name: p, arg: "" }
+        : { name: p.slice(0, i).trim(), arg: p.slice(i + 1).trim() };
+    });
+
+let uid = 0;
+
+class FieldView {
+  /**
+   * @param {HTMLElement} control
+   * @param {HTMLElement} field `.field` wrapper
+   */
+  constructor(control, field) {
+    this.control = control;
+    this.field = field;
+    // Hidden select inputs cannot carry focus or ARIA state: use the select button.
+    this.ariaTarget =
+      control.type === "hidden"
+        ? U.qs(".select__button", field) || control
+        : control;
+    this.errorEl = null;
+  }
+
+  get errorId() {
+    const t = this.ariaTarget;
+    if (!t.id) t.id = `field-${++uid}`;
+    return `${t.id}-error`;
+  }
+
+  showError(message) {
+    if (!this.errorEl) {
+      this.errorEl = document.createElement("p");
+      this.errorEl.className = "field__error txt-small";
+      this.errorEl.id = this.errorId;
+      this.field.append(this.errorEl);
+    }
+    this.errorEl.textContent = message;
+    U.addClass(this.field, "_has-error");
+    this.ariaTarget.setAttribute("aria-invalid", "true");
+    this._describedBy(true);
+  }
+
+  clear() {
+    U.removeClass(this.field, "_has-error");
+    this.ariaTarget.removeAttribute("aria-invalid");
+    this._describedBy(false);
+    this.errorEl?.remove();
+    this.errorEl = null;
+  }
+
+  /** @private */
+  _describedBy(add) {
+    const ids = (this.ariaTarget.getAttribute("aria-describedby") || "")
+      .split(/\s+/)
+      .filter((id) => id && id !== this.errorId);
+    if (add) ids.push(this.errorId);
+    if (ids.length)
+      this.ariaTarget.setAttribute("aria-describedby", ids.join(" "));
+    else this.ariaTarget.removeAttribute("aria-describedby");
+  }
+}
+
+export class FormValidator {
+  /**
+   * @param {HTMLFormElement} form
+   * @param {Object} [opts]
+   * @param {"ru"|"en"} [opts.locale] defaults to the nearest [lang]
+   * @param {string} [opts.controlSel='[data-validate]']
+   * @param {boolean} [opts.interceptSubmit] defaults to true for forms without [data-ajax]
+   */
+  constructor(form, opts = {}) {
+    this.form = form;
+
+    const lang = (form.closest("[lang]")?.getAttribute("lang") || "ru")
+      .slice(0, 2)
+      .toLowerCase();
+
+    this.opts = {
+      locale: MESSAGES[lang] ? lang : "ru",
+      controlSel: "[data-validate]",
+      interceptSubmit: !form.hasAttribute("data-ajax"),
+      ...opts,
+    };
+
+    /** @type {WeakMap<HTMLElement, FieldView>} */
+    this._views = new WeakMap();
+    /** @type {WeakMap<HTMLElement, Map<string, {valid:boolean, params:Object}>>} */
+    this._reports = new WeakMap();
+    /** @type {WeakSet<HTMLElement>} controls that have shown an error */
+    this._touched = new WeakSet();
+    this._unsubs = [];
+  }
+
+  init() {
+    const on = (type, handler, capture = false) => {
+      this.form.addEventListener(type, handler, capture);
+      this._unsubs.push(() =>
+        this.form.removeEventListener(type, handler, capture)
+      );
+    };
+
+    on("focusout", (e) => {
+      const control = this._controlOf(e.target);
+      if (!control) return;
+      // Moving focus inside the same field (select button → listbox) is not a blur.
+      const field = U.closest(e.target, ".field");
+      if (field && e.relatedTarget && field.contains(e.relatedTarget)) return;
+      this.validateField(control);
+    });
+
+    on("input", (e) => {
+      const control = this._controlOf(e.target);
+      if (control && this._touched.has(control)) this.validateField(control);
+    });
+
+    on("field:report", (e) => {
+      const control = /** @type {HTMLElement} */ (e.target);
+      this._report(control, e.detail.rule, e.detail.valid);
+    });
+
+    on("fileinput:valid", (e) => this._reportFile(e, true));
+    on("fileinput:clear", (e) => this._reportFile(e, true));
+    on("fileinput:invalid", (e) =>
+      this._reportFile(e, false, { limit: e.detail?.limit || "" })
+    );
+
+    on("reset", () => this.reset());
+
+    if (this.opts.interceptSubmit) {
+      on("submit", (e) => {
+        if (this._submitting) return;
+        e.preventDefault();
+        this.validate().then((valid) => {
+          if (!valid) return;
+          this._submitting = true;
+          this.form.requestSubmit();
+          this._submitting = false;
+        });
+      });
+    }
+
+    return this;
+  }
+
+  /** @returns {HTMLElement[]} controls with rules or reports */
+  get controls() {
+    return U.qsa(this.opts.controlSel, this.form).concat(
+      U.qsa("input, select, textarea", this.form).filter(
+        (el) => this._reports.has(el) && !el.matches(this.opts.controlSel)
+      )
+    );
+  }
+
+  /**
+   * Validates every control and focuses the first invalid one.
+   * @returns {Promise<boolean>}
+   */
+  async validate() {
+    const controls = this.controls;
+    const results = await Promise.all(
+      controls.map((c) => this.validateField(c))
+    );
+    const invalid = controls.filter((c, i) => !results[i]);
+
+    if (invalid.length) this._viewOf(invalid[0])?.ariaTarget.focus();
+
+    this.form.dispatchEvent(
+      new CustomEvent("form:validated", {
+        detail: { valid: !invalid.length, fields: invalid },
+        bubbles: true,
+      })
+    );
+    return !invalid.length;
+  }
+
+  /**
+   * @param {HTMLElement} control
+   * @returns {Promise<boolean>}
+   */
+  async validateField(control) {
+    const view = this._viewOf(control);
+    if (!view) return true;
+
+    const failed = await this._firstFailure(control);
+    if (failed) {
+      this._touched.add(control);
+      view.showError(this._message(control, failed.name, failed.params));
+      return false;
+    }
+    view.clear();
+    return true;
+  }
+
+  /**
+   * Renders messages that came from elsewhere, e.g. a 422 response.
+   * @param {Record<string, string|string[]>} errors keyed by control name
+   */
+  showErrors(errors) {
+    Object.entries(errors).forEach(([name, message]) => {
+      const found = this.form.elements.namedItem(name);
+      const control = found instanceof RadioNodeList ? found[0] : found;
+      const view = control ? this._viewOf(control) : null;
+      if (!view) return;
+      this._touched.add(control);
+      view.showError([].concat(message).join(" "));
+    });
+  }
+
+  reset() {
+    this.controls.forEach((c) => {
+      this._touched.delete(c);
+      this._reports.delete(c);
+      this._viewOf(c)?.clear();
+    });
+  }
+
+  destroy() {
+    this._unsubs.forEach((off) => off());
+    this._unsubs = [];
+  }
+
+  /**
+   * Reports come first: the widget that sent them knows the more specific reason
+   * (an incomplete phone mask also empties the input, which would read as "required",
+   * or pass in an optional field). Masks only report once typed into, and report valid
+   * again when the user erases the value.
+   * @private
+   */
+  async _firstFailure(control) {
+    for (const [name, r] of this._reports.get(control) || []) {
+      if (!r.valid) return { name, params: r.params };
+    }
+
+    const value = "value" in control ? String(control.value) : "";
+
+    for (const { name, arg } of parseRules(control.dataset.validate)) {
+      const rule = RULES[name];
+      if (!rule) {
+        console.warn(`[FormValidator] unknown rule "${name}"`, control);
+        continue;
+      }
+      let ok = false;
+      try {
+        ok = await rule(value, arg, control, this.form);
+      } catch (err) {
+        console.warn(`[FormValidator] rule "${name}" failed:`, err);
+      }
+      if (!ok) return { name, params: { arg } };
+    }
+    return null;
+  }
+
+  /** @private */
+  _message(control, rule, params = {}) {
+    const attr = control.getAttribute(`data-msg-${rule}`);
+    const dict = MESSAGES[this.opts.locale];
+    const tpl = attr || dict[rule] || dict.fallback;
+    return tpl.replace(/\{(\w+)\}/g, (_, k) => params[k] ?? "");
+  }
+
+  /** @private */
+  _report(control, rule, valid, params = {}) {
+    if (!this._viewOf(control)) return;
+    if (!this._reports.has(control)) this._reports.set(control, new Map());
+    this._reports.get(control).set(rule, { valid, params });
+    this.validateField(control);
+  }
+
+  /** @private */
+  _reportFile(e, valid, params) {
+    const root = /** @type {HTMLElement} */ (e.target);
+    const input = U.qs('input[type="file"]', root);
+    if (input) this._report(input, "filesize", valid, params);
+  }
+
+  /** @private */
+  _controlOf(target) {
+    if (!target || !target.matches) return null;
+    if (target.matches(this.opts.controlSel) || this._reports.has(target))
+      return target;
+    // Select buttons validate their hidden input.
+    const fs = U.closest(target, "[data-select]");
+    const hidden = fs ? U.qs("input.select__input", fs) : null;
+    return hidden && hidden.matches(this.opts.controlSel) ? hidden : null;
+  }
+
+  /** @private */
+  _viewOf(control) {
+    let view = this._views.get(control);
+    if (!view) {
+      const field = U.closest(control, ".field");
+      if (!field) return null;
+      view = new FieldView(control, field);
+      this._views.set(control, view);
+    }
+    return view;
+  }
+
+  /**
+   * Registers a rule usable in data-validate, e.g. an async server check.
+   * @param {string} name
+   * @param {(value:string, arg:string, control:HTMLElement, form:HTMLFormElement) => boolean|Promise<boolean>} fn
+   * @param {Partial<Record<"ru"|"en", string>>} [messages]
+   */
+  static addRule(name, fn, messages = {}) {
+    RULES[name] = fn;
+    Object.keys(messages).forEach((locale) => {
+      if (MESSAGES[locale]) MESSAGES[locale][name] = messages[locale];
+    });
+  }
+
+  /**
+   * Convenience bootstrap: one validator per form with validated controls.
+   * @param {ParentNode} [root=document]
+   * @returns {FormValidator[]}
+   */
+  static bootstrap(root = document) {
+    const sel = "[data-validate], [data-tel-mask], [data-mail-mask], [data-file-input]";
+    return U.qsa("form", root)
+      .filter((form) => U.qs(sel, form))
+      .map((form) => new FormValidator(form).init());
+  }
+}
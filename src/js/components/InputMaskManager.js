@@ -1,34 +1,22 @@
 /**
  * Tiny OOP wrapper around Inputmask for three masks:
- * - [data-tel-mask]   → "+7 (999) 999-99-99" with error state on incomplete
- * - [data-mail-mask]  → alias: "email" with _incomplete state toggle
+ * - [data-tel-mask]   → "+7 (999) 999-99-99", reports "phone-complete" to FormValidator
+ * - [data-mail-mask]  → alias: "email", reports "email" to FormValidator
  * - [data-name-mask]  → regex: "Firstname Lastname" (latin/cyrillic, single space)
  *
  * SOLID-ish breakdown:
- * - FieldState: minimal DOM state helper (no knowledge of masks)
+ * - reportField (FormValidator): mask callbacks report rule results, FormValidator owns field state
  * - MaskStrategy: per-mask configuration/behavior (open–closed for extension)
  * - InputMaskManager: orchestrates scanning DOM, applying masks, cleanup
  *
  * Public API:
  *   const manager = new InputMaskManager(); manager.init();
+ *   manager.apply(input); // mask a single input, e.g. one added later
  *   manager.destroy(); // removes masks and listeners
  */
 
 import Inputmask from "../../../node_modules/inputmask/dist/inputmask.es6.js";
-
-class FieldState {
-  static closestField(el) {
-    return el?.closest?.(".field") || null;
-  }
-  static add(el, cls) {
-    const field = FieldState.closestField(el);
-    if (field) field.classList.add(cls);
-  }
-  static remove(el, cls) {
-    const field = FieldState.closestField(el);
-    if (field) field.classList.remove(cls);
-  }
-}
+import { reportField } from "./FormValidator.js";
 
 class MaskStrategy {
   constructor() {
@@ -53,11 +41,11 @@ class TelMaskStrategy extends MaskStrategy {
   apply(input) {
     const onincomplete = () => {
       input.value = "";
-      FieldState.add(input, "_has-error");
-    };
-    const oncomplete = () => {
-      FieldState.remove(input, "_has-error");
+      reportField(input, "phone-complete", false);
     };
+    const oncomplete = () => reportField(input, "phone-complete", true);
+    // Erased by the user, not emptied by onincomplete: nothing left to complete.
+    const oncleared = () => reportField(input, "phone-complete", true);
     Inputmask({
       mask: "+7 (999) 999-99-99",
       showMaskOnHover: false,
@@ -67,6 +55,7 @@ class TelMaskStrategy extends MaskStrategy {
       placeholder: "_",
       onincomplete,
       oncomplete,
+      oncleared,
     }).mask(input);
     this.track(input);
   }
@@ -74,8 +63,10 @@ class TelMaskStrategy extends MaskStrategy {
 
 class MailMaskStrategy extends MaskStrategy {
   apply(input) {
-    const onincomplete = () => FieldState.add(input, "_incomplete");
-    const oncomplete = () => FieldState.remove(input, "_incomplete");
+    const onincomplete = () => reportField(input, "email", false);
+    const oncomplete = () => reportField(input, "email", true);
+    // Erased by the user: the "email" rule judges the empty value again.
+    const oncleared = () => reportField(input, "email", true);
     Inputmask({
       showMaskOnHover: false,
       jitMasking: true,
@@ -84,6 +75,7 @@ class MailMaskStrategy extends MaskStrategy {
       alias: "email",
       onincomplete,
       oncomplete,
+      oncleared,
     }).mask(input);
     this.track(input);
   }
@@ -131,15 +123,19 @@ export class InputMaskManager {
   }
 
   init() {
-    const tel = this.root.querySelectorAll(this.selectors.tel);
-    const mail = this.root.querySelectorAll(this.selectors.mail);
-    const name = this.root.querySelectorAll(this.selectors.name);
-
-    if (!tel.length && !mail.length && !name.length) return;
+    const sel = Object.values(this.selectors).join(",");
+    this.root.querySelectorAll(sel).forEach((el) => this.apply(el));
+  }
 
-    tel.forEach((el) => this.strategies.tel.apply(el));
-    mail.forEach((el) => this.strategies.mail.apply(el));
-    name.forEach((el) => this.strategies.name.apply(el));
+  /**
+   * Applies the matching mask to a single input.
+   * @param {HTMLInputElement} input
+   */
+  apply(input) {
+    const key = Object.keys(this.selectors).find((k) =>
+      input.matches(this.selectors[k])
+    );
+    if (key) this.strategies[key].apply(input);
   }
 
   destroy() {
@@ -222,13 +222,21 @@ export class LazyVideoManager {
     const nodes = /** @type {NodeListOf<HTMLVideoElement>} */ (
       root.querySelectorAll("video[data-lazy]")
     );
-    for (const el of nodes) {
-      const opts = this._mergeOptionsFromAttrs(el);
-      const loader = new SourceLoader();
-      const strategy = this._buildStrategy(el, opts);
-      const inst = new LazyVideo(el, opts, loader, strategy).init();
-      this.instances.push(inst);
-    }
+    for (const el of nodes) this.add(el);
+  }
+
+  /**
+   * Initializes a single <video data-lazy>.
+   * @param {HTMLVideoElement} el
+   * @returns {LazyVideo}
+   */
+  add(el) {
+    const opts = this._mergeOptionsFromAttrs(el);
+    const loader = new SourceLoader();
+    const strategy = this._buildStrategy(el, opts);
+    const inst = new LazyVideo(el, opts, loader, strategy).init();
+    this.instances.push(inst);
+    return inst;
   }
 
   destroy() {
@@ -0,0 +1,326 @@
+/**
+ * Modal: accessible dialogs opened by [data-modal-btn] triggers.
+ *
+ * Markup contract:
+ * <button type="button" data-modal-btn=".request-modal">Open</button>
+ *
+ * <div id="request" class="modal request-modal" role="dialog" aria-modal="true" aria-hidden="true">
+ *   <div class="modal__dialog" data-lenis-prevent>
+ *     <button type="button" data-modal-close>Close</button>
+ *     ...
+ *   </div>
+ * </div>
+ *
+ * Behaviour:
+ * - Visibility is controlled solely by toggling `_is-active` on the modal root.
+ * - Focus is trapped inside the top-most modal and returned to the trigger on close.
+ * - Escape, a click on the backdrop (the modal root itself) and [data-modal-close] close the top-most modal.
+ * - Modals stack: opening a modal from inside another keeps the first one open underneath.
+ * - While any modal is open, Lenis is stopped through SmoothScrollManager and `.page` gets `_show-modal`.
+ * - Deep links: `#<modal id>` in the URL opens that modal on load and on hashchange.
+ *
+ * Custom events dispatched on the modal root (bubbling):
+ * - "modal:opened" detail: { modal, trigger }
+ * - "modal:closed" detail: { modal, trigger }
+ *
+ * Commands accepted on document (open/close from anywhere):
+ *   document.dispatchEvent(new CustomEvent("modal:open", { detail: { target: ".request-modal" } }));
+ *   document.dispatchEvent(new CustomEvent("modal:close", { detail: { target: ".request-modal" } }));
+ *   // without detail.target "modal:close" closes the top-most modal
+ *
+ * Public API:
+ *   const modals = new ModalManager({ scroll: lenis }); modals.init();
+ *   modals.open(".request-modal"); modals.close(); modals.closeAll(); modals.destroy();
+ */
+
+import { U } from "../functions/utils.js";
+
+const FOCUSABLE = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  'input:not([disabled]):not([type="hidden"])',
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "[contenteditable]",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+class ModalView {
+  /**
+   * @param {HTMLElement} el modal root
+   * @param {string} activeCl
+   */
+  constructor(el, activeCl) {
+    this.el = el;
+    this.activeCl = activeCl;
+    /** @type {HTMLElement|null} */
+    this.trigger = null;
+  }
+
+  get isOpen() {
+    return U.hasClass(this.el, this.activeCl);
+  }
+
+  /** @returns {HTMLElement[]} */
+  getFocusable() {
+    return U.qsa(FOCUSABLE, this.el).filter(
+      (el) => !el.hasAttribute("inert") && el.getClientRects().length > 0
+    );
+  }
+
+  show(depth) {
+    this.el.style.setProperty("--modal-depth", String(depth));
+    this.el.setAttribute("aria-hidden", "false");
+    U.addClass(this.el, this.activeCl);
+  }
+
+  hide() {
+    U.removeClass(this.el, this.activeCl);
+    this.el.setAttribute("aria-hidden", "true");
+    this.el.style.removeProperty("--modal-depth");
+  }
+
+  focusFirst() {
+    const target =
+      U.qs("[autofocus]", this.el) || this.getFocusable()[0] || this.el;
+    if (target === this.el && !this.el.hasAttribute("tabindex")) {
+      this.el.setAttribute("tabindex", "-1");
+    }
+    target.focus({ preventScroll: true });
+  }
+
+  dispatch(name) {
+    this.el.dispatchEvent(
+      new CustomEvent(name, {
+        detail: { modal: this.el, trigger: this.trigger },
+        bubbles: true,
+      })
+    );
+  }
+}
+
+export class ModalManager {
+  /**
+   * @param {Object} [opts]
+   * @param {{stop:()=>void,start:()=>void}|null} [opts.scroll=null] SmoothScrollManager instance
+   * @param {string} [opts.modalSel='.modal']
+   * @param {string} [opts.btnAttr='data-modal-btn']
+   * @param {string} [opts.closeSel='[data-modal-close]']
+   * @param {string} [opts.activeCl='_is-active']
+   * @param {string} [opts.pageCl='_show-modal']
+   * @param {boolean} [opts.useHash=true] open modals from `#id` and clear the hash on close
+   */
+  constructor({
+    scroll = null,
+    modalSel = ".modal",
+    btnAttr = "data-modal-btn",
+    closeSel = "[data-modal-close]",
+    activeCl = "_is-active",
+    pageCl = "_show-modal",
+    useHash = true,
+  } = {}) {
+    this.scroll = scroll;
+    this.modalSel = modalSel;
+    this.btnAttr = btnAttr;
+    this.closeSel = closeSel;
+    this.activeCl = activeCl;
+    this.pageCl = pageCl;
+    this.useHash = useHash;
+
+    /** @type {ModalView[]} open modals, top-most last */
+    this.stack = [];
+    /** @type {WeakMap<HTMLElement, ModalView>} */
+    this._views = new WeakMap();
+    this._unsubs = [];
+  }
+
+  init() {
+    const doc = document.documentElement;
+
+    this._unsubs.push(
+      U.delegate(doc, "click", `[${this.btnAttr}]`, (e, btn) => {
+        e.preventDefault();
+        this.open(btn.getAttribute(this.btnAttr), btn);
+      }),
+      U.delegate(doc, "click", this.closeSel, (e, btn) => {
+        const modal = U.closest(btn, this.modalSel);
+        if (!modal) return;
+        e.preventDefault();
+        this.close(modal);
+      })
+    );
+
+    const onBackdrop = (e) => {
+      const top = this._top();
+      if (top && e.target === top.el) this.close(top.el);
+    };
+    const onKeyDown = (e) => {
+      if (!this.stack.length) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === "Tab") {
+        this._trapFocus(e);
+      }
+    };
+    const onOpenCmd = (e) => this.open(e.detail?.target, e.detail?.trigger);
+    const onCloseCmd = (e) => this.close(e.detail?.target);
+
+    document.addEventListener("click", onBackdrop);
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("modal:open", onOpenCmd);
+    document.addEventListener("modal:close", onCloseCmd);
+    this._unsubs.push(() => {
+      document.removeEventListener("click", onBackdrop);
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("modal:open", onOpenCmd);
+      document.removeEventListener("modal:close", onCloseCmd);
+    });
+
+    U.qsa(this.modalSel).forEach((el) => {
+      if (!el.hasAttribute("aria-hidden")) el.setAttribute("aria-hidden", "true");
+    });
+
+    if (this.useHash) {
+      const onHash = () => this._openFromHash();
+      window.addEventListener("hashchange", onHash);
+      this._unsubs.push(() => window.removeEventListener("hashchange", onHash));
+      this._openFromHash();
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {string|HTMLElement|null|undefined} target selector or modal root
+   * @param {HTMLElement|null} [trigger] element that receives focus back on close
+   * @returns {boolean} true if the modal was opened
+   */
+  open(target, trigger = null) {
+    const view = this._resolve(target);
+    if (!view || view.isOpen) return false;
+
+    if (!this.stack.length) {
+      this.scroll?.stop();
+      U.addClass(document.documentElement, this.pageCl);
+    }
+
+    view.trigger =
+      trigger || /** @type {HTMLElement|null} */ (document.activeElement);
+    this.stack.push(view);
+    view.show(this.stack.length);
+    view.focusFirst();
+    view.dispatch("modal:opened");
+    return true;
+  }
+
+  /**
+   * Closes the given modal (and every modal stacked above it),
+   * or the top-most one when called without arguments.
+   * @param {string|HTMLElement|null} [target]
+   * @returns {boolean} true if anything was closed
+   */
+  close(target) {
+    const view = target ? this._resolve(target) : this._top();
+    const idx = view ? this.stack.indexOf(view) : -1;
+    if (idx < 0) return false;
+
+    while (this.stack.length > idx) this._closeTop();
+    return true;
+  }
+
+  closeAll() {
+    while (this.stack.length) this._closeTop();
+  }
+
+  destroy() {
+    this.closeAll();
+    this._unsubs.forEach((off) => off());
+    this._unsubs = [];
+  }
+
+  /** @private */
+  _closeTop() {
+    const view = this.stack.pop();
+    view.hide();
+
+    if (!this.stack.length) {
+      U.removeClass(document.documentElement, this.pageCl);
+      this.scroll?.start();
+    }
+
+    if (this.useHash && view.el.id && location.hash === `#${view.el.id}`) {
+      history.replaceState(null, "", location.pathname + location.search);
+    }
+
+    const trigger = view.trigger;
+    if (trigger && document.contains(trigger)) {
+      trigger.focus({ preventScroll: true });
+    }
+    view.dispatch("modal:closed");
+    view.trigger = null;
+  }
+
+  /** @private */
+  _top() {
+    return this.stack[this.stack.length - 1] || null;
+  }
+
+  /**
+   * @private
+   * @param {string|HTMLElement|null|undefined} target
+   * @returns {ModalView|null}
+   */
+  _resolve(target) {
+    const el = typeof target === "string" ? U.qs(target) : target;
+    if (!el || !el.matches?.(this.modalSel)) return null;
+
+    let view = this._views.get(el);
+    if (!view) {
+      view = new ModalView(el, this.activeCl);
+      this._views.set(el, view);
+    }
+    return view;
+  }
+
+  /** @private */
+  _trapFocus(e) {
+    const top = this._top();
+    const items = top.getFocusable();
+    if (!items.length) {
+      e.preventDefault();
+      top.el.focus({ preventScroll: true });
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+
+    if (!top.el.contains(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && (active === first || active === top.el)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /** @private */
+  _openFromHash() {
+    const id = decodeURIComponent(location.hash.slice(1));
+    if (!id) return;
+    const el = document.getElementById(id);
+    if (el && el.matches(this.modalSel)) this.open(el);
+  }
+
+  /** Convenience: one-liner bootstrap */
+  static bootstrap(opts) {
+    return new ModalManager(opts).init();
+  }
+}
@@ -1,4 +1,5 @@
 import { U } from "../functions/utils.js";
+import { mediaUp } from "../tokens.js";
 
 export class NavMenu {
   /**
@@ -7,7 +8,7 @@ export class NavMenu {
    * @param {string} [opts.itemSel='.header__nav-item']
    * @param {string} [opts.btnSel='.nav-item__btn']
    * @param {string} [opts.activeCl='_is-active']
-   * @param {string} [opts.mq='(min-width: 48.01em)']
+   * @param {string} [opts.mq=mediaUp.mobile] past the mobile breakpoint of src/tokens.json
    * @param {boolean} [opts.clearOnLeave=true]
    * @param {boolean} [opts.escToClear=true]
    */
@@ -17,7 +18,7 @@ export class NavMenu {
       itemSel = ".header__nav-item",
       btnSel = ".nav-item__btn",
       activeCl = "_is-active",
-      mq = "(min-width: 48.01em)",
+      mq = mediaUp.mobile,
       clearOnLeave = true,
       escToClear = true,
     } = {}
@@ -1,5 +1,6 @@
 import Lenis from "lenis";
 import "lenis/dist/lenis.css";
+import { U } from "../functions/utils.js";
 
 export class LenisScroller {
   constructor(options) {
@@ -54,8 +55,20 @@ export class LenisScroller {
     this.listeners.delete(cb);
   }
 
-  scrollTo(y, opts) {
-    this.lenis.scrollTo(y, { immediate: !!(opts && opts.immediate) });
+  /**
+   * @param {number|HTMLElement} target scroll position or element
+   * @param {{immediate?:boolean, offset?:number, duration?:number, easing?:(t:number)=>number, onComplete?:()=>void}} [opts]
+   *   without duration and easing the scroll follows the instance lerp
+   */
+  scrollTo(target, opts) {
+    const o = opts || {};
+    this.lenis.scrollTo(target, {
+      immediate: !!o.immediate,
+      offset: o.offset || 0,
+      duration: o.duration,
+      easing: o.easing,
+      onComplete: o.onComplete,
+    });
   }
 
   getY() {
@@ -66,6 +79,10 @@ export class LenisScroller {
     this.lenis.raf(timeMs);
   }
 
+  resize() {
+    this.lenis.resize();
+  }
+
   start() {
     this.lenis.start();
   }
@@ -192,12 +209,78 @@ function createRevealAnimations() {
   items.forEach((el) => observer.observe(el));
 }
 
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+// How long the initial #hash is kept aligned while fonts, lazy media and idle
+// components change the layout above it.
+const HASH_SETTLE_MS = 3000;
+const USER_SCROLL_EVENTS = ["wheel", "touchstart", "pointerdown", "keydown"];
+
+/** Element of `#id` (or `<a name>`), null for "#" and unknown ids. */
+function findAnchorTarget(hash) {
+  if (!hash || hash.length < 2) return null;
+  let id;
+  try {
+    id = decodeURIComponent(hash.slice(1));
+  } catch {
+    return null;
+  }
+  return (
+    document.getElementById(id) || document.getElementsByName(id)[0] || null
+  );
+}
+
+/** Moves focus to the scrolled-to section so keyboard and screen reader users follow. */
+function focusAnchorTarget(el) {
+  if (el.tabIndex < 0 && !el.hasAttribute("tabindex")) {
+    el.setAttribute("tabindex", "-1");
+  }
+  el.focus({ preventScroll: true });
+}
+
+const isSamePageLink = (link) =>
+  link instanceof HTMLAnchorElement &&
+  link.hash &&
+  link.origin === location.origin &&
+  link.pathname === location.pathname &&
+  link.search === location.search &&
+  (!link.target || link.target === "_self") &&
+  !link.hasAttribute("download");
+
+/**
+ * Lenis smooth scroll, reveal animations and in-page anchors.
+ *
+ * Clicks on same-page anchors (`#contacts`, `home.html#contacts` on home.html) scroll
+ * with Lenis below the fixed header and push the hash without the native jump, and
+ * back/forward between those entries scrolls the same way; a #hash in the URL is
+ * aligned once the page has loaded. Targets matching
+ * `anchorIgnore` (modal deep links) keep the native behaviour.
+ *
+ * @param {Object} [params]
+ * @param {boolean} [params.anchors=true] handle anchor clicks, history navigation
+ *   and the initial hash
+ * @param {number|((target:HTMLElement)=>number)} [params.anchorOffset] pixels kept
+ *   above the target, the height of `headerSel` by default
+ * @param {string} [params.headerSel='.header']
+ * @param {number} [params.anchorDuration=1.2] seconds
+ * @param {(t:number)=>number} [params.anchorEasing] easeOutCubic by default
+ * @param {string} [params.anchorIgnore='.modal']
+ */
 export class SmoothScrollManager {
   constructor(params) {
     const p = params || {};
     const root = p.root || document.documentElement;
 
     this.scroller = p.scroller || new LenisScroller(p.lenisOptions);
+    this.stopped = false;
+    this.unsubs = [];
+
+    this.anchors = p.anchors !== false;
+    this.anchorOffset = p.anchorOffset;
+    this.headerSel = p.headerSel || ".header";
+    this.anchorDuration = p.anchorDuration ?? 1.2;
+    this.anchorEasing = p.anchorEasing || easeOutCubic;
+    this.anchorIgnore = p.anchorIgnore || ".modal";
 
     this.onScrollCb = () => {
       if (typeof p.onExternalScrollUpdate === "function")
@@ -221,17 +304,141 @@ export class SmoothScrollManager {
       requestAnimationFrame(loop);
     };
     requestAnimationFrame(loop);
+
+    if (this.anchors) {
+      this.unsubs.push(
+        U.delegate(document, "click", 'a[href*="#"]', (e, link) =>
+          this.onAnchorClick(e, link)
+        )
+      );
+      const onPopState = () => this.onPopState();
+      window.addEventListener("popstate", onPopState);
+      this.unsubs.push(() =>
+        window.removeEventListener("popstate", onPopState)
+      );
+      this.scrollToInitialHash();
+    }
+  }
+
+  /** Pixels kept free above an anchor target: `anchorOffset`, else the header height. */
+  getAnchorOffset(target) {
+    const o = this.anchorOffset;
+    if (typeof o === "function") return o(target);
+    if (typeof o === "number") return o;
+    const header = document.querySelector(this.headerSel);
+    return header ? header.offsetHeight : 0;
+  }
+
+  /**
+   * @param {HTMLElement|string} target element or "#id"
+   * @param {{immediate?:boolean, onComplete?:()=>void}} [opts]
+   * @returns {boolean} false when there is no such target
+   */
+  scrollToAnchor(target, opts) {
+    const o = opts || {};
+    const el = typeof target === "string" ? findAnchorTarget(target) : target;
+    if (!el) return false;
+
+    this.scroller.scrollTo(el, {
+      immediate: !!o.immediate,
+      offset: -this.getAnchorOffset(el),
+      duration: this.anchorDuration,
+      easing: this.anchorEasing,
+      onComplete: o.onComplete,
+    });
+    return true;
+  }
+
+  onAnchorClick(e, link) {
+    if (e.defaultPrevented || e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    // Stopped by an open modal: Lenis would ignore the scroll.
+    if (this.stopped || !isSamePageLink(link)) return;
+
+    const target = findAnchorTarget(link.hash);
+    if (!target || target.matches(this.anchorIgnore)) return;
+
+    e.preventDefault();
+    if (location.hash !== link.hash) history.pushState(null, "", link.hash);
+    this.scrollToAnchor(target, {
+      onComplete: () => focusAnchorTarget(target),
+    });
+  }
+
+  /** Back/forward to an entry pushed by onAnchorClick: the browser does not scroll to it. */
+  onPopState() {
+    if (this.stopped) return;
+
+    const target = findAnchorTarget(location.hash);
+    if (!target || target.matches(this.anchorIgnore)) return;
+
+    this.scrollToAnchor(target, {
+      onComplete: () => focusAnchorTarget(target),
+    });
+  }
+
+  /**
+   * The browser jumps to the #hash before fonts and media are in, and without the
+   * header offset: realign after load, then on every layout change for a while
+   * unless the user scrolls first.
+   */
+  scrollToInitialHash() {
+    const target = findAnchorTarget(location.hash);
+    if (!target || target.matches(this.anchorIgnore)) return;
+
+    const loaded =
+      document.readyState === "complete"
+        ? Promise.resolve()
+        : new Promise((resolve) =>
+            window.addEventListener("load", resolve, { once: true })
+          );
+
+    let cancelled = false;
+    let stop = () => {
+      cancelled = true;
+    };
+    this.unsubs.push(() => stop());
+
+    loaded
+      .then(() => document.fonts?.ready)
+      .then(() => {
+        if (cancelled) return;
+
+        const align = () => {
+          this.scroller.resize();
+          this.scrollToAnchor(target, { immediate: true });
+        };
+        const observer = new ResizeObserver(align);
+        const timer = setTimeout(() => stop(), HASH_SETTLE_MS);
+
+        stop = () => {
+          observer.disconnect();
+          clearTimeout(timer);
+          USER_SCROLL_EVENTS.forEach((ev) =>
+            window.removeEventListener(ev, stop)
+          );
+        };
+        USER_SCROLL_EVENTS.forEach((ev) =>
+          window.addEventListener(ev, stop, { passive: true })
+        );
+        // Calls align once right away, then on each resize of the page.
+        observer.observe(document.body);
+      });
   }
 
   stop() {
+    this.stopped = true;
     this.scroller.stop();
   }
 
   start() {
+    this.stopped = false;
     this.scroller.start();
   }
 
   destroy() {
+    this.unsubs.forEach((off) => off());
+    this.unsubs = [];
     this.scroller.offScroll(this.onScrollCb);
     this.scroller.destroy();
   }
@@ -1,20 +1,31 @@
 /**
- * @typedef {{element:HTMLElement,target:HTMLElement,className:string,action:"on"|"off"}} SwitchRule
+ * @typedef {{element:HTMLElement,target:HTMLElement,className:string,action:"on"|"off",lock:boolean}} SwitchRule
  */
 
-import { lenis } from "../main.js";
+import { U } from "../functions/utils.js";
 
 export class SwitchController {
   /**
    * @param {SwitchRule[]} rules
+   * @param {Object} [opts]
+   * @param {{stop:()=>void,start:()=>void}|null} [opts.scroll=null] SmoothScrollManager
+   *   instance, stopped by `lock` rules
    */
-  constructor(rules) {
+  constructor(rules, { scroll = null } = {}) {
     this.rules = rules;
+    this.scroll = scroll;
   }
 
   init() {
     this.rules.forEach((rule) => {
-      rule.element.addEventListener("click", () => this.toggle(rule));
+      rule.handler = () => this.toggle(rule);
+      rule.element.addEventListener("click", rule.handler);
+    });
+  }
+
+  destroy() {
+    this.rules.forEach((rule) => {
+      rule.element.removeEventListener("click", rule.handler);
     });
   }
 
@@ -22,35 +33,40 @@ export class SwitchController {
     if (!rule.target) return;
     if (rule.action === "on") {
       rule.target.classList.add(rule.className);
-      console.log(rule.lock);
-      if (rule.lock && rule.lock === "true") {
-        lenis.stop();
+      if (rule.lock) {
+        this.scroll?.stop();
       }
     } else {
       rule.target.classList.remove(rule.className);
-      if (rule.lock && rule.lock === "false") {
-        lenis.start();
+      if (!rule.lock) {
+        this.scroll?.start();
       }
     }
   }
 }
 
-const parseConfig = (str) =>
-  Object.fromEntries(
-    str.split(";").map((p) => {
-      const i = p.indexOf(":");
-      return [p.slice(0, i), p.slice(i + 1)];
-    })
-  );
+/** data-switch="target:.page;class:_show-menu;action:on;lock:true" */
+const SCHEMA = {
+  target: { type: "selector", required: true },
+  class: { type: "string", default: "_is-active" },
+  action: { type: "string", values: ["on", "off"], default: "on" },
+  lock: { type: "boolean", default: false },
+};
+
+/**
+ * @param {HTMLElement} el [data-switch] element
+ * @returns {SwitchRule}
+ */
+export const createControllerRule = (el) => {
+  const cfg = U.parseConfig(el.dataset.switch, SCHEMA, { name: "switch", el });
+  return {
+    element: el,
+    target: document.querySelector(cfg.target),
+    className: cfg.class,
+    action: cfg.action,
+    lock: cfg.lock,
+  };
+};
 
 export const createControllerRules = () =>
-  [...document.querySelectorAll("[data-switch]")].map((el) => {
-    const cfg = parseConfig(el.dataset.switch);
-    return {
-      element: el,
-      target: document.querySelector(cfg.target),
-      className: cfg.class || "_is-active",
-      action: cfg.action === "off" ? "off" : "on",
-      lock: cfg.lock === "true" ? "true" : "false",
-    };
-  });
+  [...document.querySelectorAll("[data-switch]")].map(createControllerRule);
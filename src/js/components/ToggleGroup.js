@@ -1,33 +1,35 @@
+import { U } from "../functions/utils.js";
+
 /**
  * @typedef {{element:HTMLElement,group:string,className:string}} ToggleRule
  */
 
+/**
+ * Rules of all instances by group name, so elements of one group
+ * can be mounted separately (e.g. by the component registry).
+ * @type {Map<string, Set<ToggleRule>>}
+ */
+const groups = new Map();
+
 export class ToggleGroup {
   /**
    * @param {ToggleRule[]} rules
    */
   constructor(rules) {
     this.rules = rules;
-    this.groups = this.mapGroups(rules);
-  }
-
-  mapGroups(rules) {
-    const map = {};
-    rules.forEach((r) => {
-      if (!map[r.group]) map[r.group] = [];
-      map[r.group].push(r);
-    });
-    return map;
   }
 
   init() {
     this.rules.forEach((rule) => {
-      rule.element.addEventListener("click", () => this.toggle(rule));
+      if (!groups.has(rule.group)) groups.set(rule.group, new Set());
+      groups.get(rule.group).add(rule);
+      rule.handler = () => this.toggle(rule);
+      rule.element.addEventListener("click", rule.handler);
     });
   }
 
   toggle(rule) {
-    const group = this.groups[rule.group];
+    const group = groups.get(rule.group) || new Set([rule]);
     const isActive = rule.element.classList.contains(rule.className);
 
     group.forEach((r) => r.element.classList.remove(r.className));
@@ -36,17 +38,33 @@ export class ToggleGroup {
       rule.element.classList.add(rule.className);
     }
   }
+
+  destroy() {
+    this.rules.forEach((rule) => {
+      rule.element.removeEventListener("click", rule.handler);
+      groups.get(rule.group)?.delete(rule);
+    });
+  }
 }
 
-const parseConfig = (str) =>
-  Object.fromEntries(str.split(";").map((p) => p.split(":")));
+/** data-toggle="group:menuItem;class:_is-active" */
+const SCHEMA = {
+  group: { type: "string" },
+  class: { type: "string", default: "_is-active" },
+};
+
+/**
+ * @param {HTMLElement} el [data-toggle] element
+ * @returns {ToggleRule}
+ */
+export const createRule = (el) => {
+  const cfg = U.parseConfig(el.dataset.toggle, SCHEMA, { name: "toggle", el });
+  return {
+    element: el,
+    group: cfg.group,
+    className: cfg.class,
+  };
+};
 
 export const createRules = () =>
-  [...document.querySelectorAll("[data-toggle]")].map((el) => {
-    const cfg = parseConfig(el.dataset.toggle);
-    return {
-      element: el,
-      group: cfg.group,
-      className: cfg.class ? cfg.class : "_is-active",
-    };
-  });
+  [...document.querySelectorAll("[data-toggle]")].map(createRule);
@@ -0,0 +1,18 @@
+/**
+ * Registers app/sw.js of the serviceWorker task. Only production scripts do it, and
+ * only on pages the task marked with <meta name="service-worker" content="sw.js">,
+ * so dev and backend builds never run a worker.
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+
+  const meta = document.querySelector('meta[name="service-worker"]');
+  if (!meta) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(meta.content)
+      .catch((err) => console.warn("[service-worker]", err));
+  });
+};
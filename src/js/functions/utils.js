@@ -104,6 +104,66 @@ export const U = {
     return () => container.removeEventListener(type, wrapped, options);
   },
 
+  /**
+   * Parses a component config from a data attribute.
+   *
+   * Accepted syntax:
+   * - `key:value;key:value;` — split on the first `:`, trailing `;` allowed,
+   *   bare `key` means `true`;
+   * - quoted values keep `;` and `:` as-is: `query:"(max-width: 48em)"`;
+   * - JSON: `{"to":".menu__body","lock":true}`.
+   *
+   * Without a schema, "true"/"false" and numeric strings are coerced.
+   * With a schema, values are coerced to the declared type, defaults are applied
+   * and, in dev builds, unknown keys, missing required keys, bad values and
+   * selectors that match nothing are reported with console.warn.
+   *
+   * @param {string|null|undefined} str attribute value
+   * @param {Record<string, ConfigField>} [schema]
+   * @param {{name?:string, el?:Element}} [ctx] used in warnings
+   * @returns {Record<string, any>}
+   */
+  parseConfig(str, schema, ctx = {}) {
+    const raw = parseRawConfig(str, ctx);
+    if (!schema) {
+      const out = {};
+      for (const k in raw) {
+        out[k] = raw[k].quoted ? raw[k].value : coerce(raw[k].value);
+      }
+      return out;
+    }
+
+    const out = {};
+    for (const key in schema) {
+      const field = schema[key];
+      if (!(key in raw)) {
+        if (field.required) configWarn(ctx, `missing required "${key}"`);
+        if ("default" in field) out[key] = field.default;
+        continue;
+      }
+      const value = castConfigValue(raw[key].value, field.type);
+      const allowed = !field.values || field.values.includes(value);
+      if (value === undefined || !allowed) {
+        const expected = field.values
+          ? field.values.join("|")
+          : field.type || "string";
+        configWarn(
+          ctx,
+          `"${key}" expects ${expected}, got "${raw[key].value}"`
+        );
+        if ("default" in field) out[key] = field.default;
+        continue;
+      }
+      if (field.type === "selector") checkSelector(ctx, key, value);
+      out[key] = value;
+    }
+
+    for (const key in raw) {
+      if (!(key in schema)) configWarn(ctx, `unknown key "${key}"`);
+    }
+    return out;
+  },
+
   /**
    * matchMedia wrapper: subscribe + immediate onChange call.
    * @param {string} query CSS media query (e.g. '(min-width: 48.01em)')
@@ -128,3 +188,109 @@ export const U = {
     };
   },
 };
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {"string"|"number"|"boolean"|"selector"} [type="string"]
+ * @property {any[]} [values] allowed values
+ * @property {any} [default]
+ * @property {boolean} [required]
+ */
+
+const IS_DEV = process.env.NODE_ENV !== "production";
+
+/**
+ * @returns {Record<string, {value:any, quoted:boolean}>}
+ */
+function parseRawConfig(str, ctx) {
+  const src = (str || "").trim();
+  if (!src) return {};
+
+  if (src[0] === "{") {
+    try {
+      const json = JSON.parse(src);
+      const out = {};
+      for (const k in json) out[k] = { value: json[k], quoted: true };
+      return out;
+    } catch (err) {
+      configWarn(ctx, `invalid JSON: ${err.message}`);
+      return {};
+    }
+  }
+
+  const out = {};
+  splitOutsideQuotes(src, ";").forEach((part) => {
+    const p = part.trim();
+    if (!p) return;
+    const i = p.indexOf(":");
+    const key = (i < 0 ? p : p.slice(0, i)).trim();
+    let value = i < 0 ? "true" : p.slice(i + 1).trim();
+    let quoted = false;
+    const q = value[0];
+    if ((q === '"' || q === "'") && value.length > 1 && value.endsWith(q)) {
+      value = value.slice(1, -1);
+      quoted = true;
+    }
+    out[key] = { value, quoted };
+  });
+  return out;
+}
+
+function splitOutsideQuotes(str, sep) {
+  const parts = [];
+  let quote = "";
+  let start = 0;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quote) {
+      if (ch === quote) quote = "";
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === sep) {
+      parts.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(str.slice(start));
+  return parts;
+}
+
+function coerce(v) {
+  if (typeof v !== "string") return v;
+  if (v === "true") return true;
+  if (v === "false") return false;
+  if (v !== "" && !isNaN(Number(v))) return Number(v);
+  return v;
+}
+
+/** @returns {any} undefined when the value does not fit the type */
+function castConfigValue(v, type = "string") {
+  if (type === "boolean") {
+    if (typeof v === "boolean") return v;
+    if (v === "true" || v === "") return true;
+    if (v === "false") return false;
+    return undefined;
+  }
+  if (type === "number") {
+    const n = typeof v === "number" ? v : Number(v);
+    return typeof v !== "boolean" && v !== "" && !isNaN(n) ? n : undefined;
+  }
+  return typeof v === "string" ? v : String(v);
+}
+
+function checkSelector(ctx, key, sel) {
+  if (!IS_DEV || typeof document === "undefined") return;
+  try {
+    if (!document.querySelector(sel)) {
+      configWarn(ctx, `"${key}" selector "${sel}" matches nothing`);
+    }
+  } catch {
+    configWarn(ctx, `"${key}" is not a valid selector: "${sel}"`);
+  }
+}
+
+function configWarn(ctx, msg) {
+  if (!IS_DEV) return;
+  const tag = ctx.name ? `config:${ctx.name}` : "config";
+  console.warn(`[${tag}] ${msg}`, ctx.el || "");
+}
@@ -1,12 +1,9 @@
-import { BreakpointMover, createRules } from "./components/BreakpointMover.js";
-import { LazyVideoManager } from "./components/LazyVideoManager.js";
+import { components } from "./_components.js";
+import { ComponentRegistry } from "./components/ComponentRegistry.js";
+import { ModalManager } from "./components/Modal.js";
 import { SmoothScrollManager } from "./components/SmoothScrollController.js";
-
-const lvm = new LazyVideoManager({
-  mode: "viewport",
-  rootMargin: "300px 0px",
-  autoplay: false,
-});
+import { U } from "./functions/utils.js";
+import { registerServiceWorker } from "./functions/service-worker.js";
 
 /* lenis instance */
 export const lenis = new SmoothScrollManager({
@@ -16,32 +13,36 @@ export const lenis = new SmoothScrollManager({
 // ScrollTrigger.refresh();
 lenis.init();
 
-document.addEventListener("DOMContentLoaded", function () {
-  lvm.mount();
+registerServiceWorker();
 
-  new BreakpointMover(createRules()).init();
-
-  let belowLoaded = false;
-  function loadBelowFold() {
-    if (belowLoaded) return;
-    belowLoaded = true;
-    import("./below-fold.js").catch((err) =>
-      console.warn("[below-fold] failed to load:", err?.message || err)
-    );
+document.addEventListener("DOMContentLoaded", function () {
+  /* modal instance */
+  new ModalManager({ scroll: lenis }).init();
+
+  /* component registry: "load" components now, "idle" ones below */
+  const registry = new ComponentRegistry(components, {
+    context: { scroll: lenis },
+  }).init();
+
+  let idle = false;
+  function wakeIdle() {
+    if (idle) return;
+    idle = true;
+    U.addClass(document.documentElement, "_page-loaded");
+    registry.wake();
   }
 
   window.addEventListener("load", () => {
     if ("requestIdleCallback" in window) {
-      requestIdleCallback(loadBelowFold, { timeout: 1200 });
+      requestIdleCallback(wakeIdle, { timeout: 1200 });
     } else {
-      setTimeout(loadBelowFold, 1200);
+      setTimeout(wakeIdle, 1200);
     }
   });
 
   ["scroll", "mousemove", "touchstart", "pointerdown", "keydown"].forEach(
-    (ev) =>
-      window.addEventListener(ev, loadBelowFold, { once: true, passive: true })
+    (ev) => window.addEventListener(ev, wakeIdle, { once: true, passive: true })
   );
 
-  setTimeout(loadBelowFold, 8000);
+  setTimeout(wakeIdle, 8000);
 });
@@ -0,0 +1,53 @@
+// Generated from src/tokens.json by the tokens task, edit the JSON instead.
+
+export const breakpoints = {
+  mobile: "48em",
+};
+
+/** Up to and including the breakpoint, `@include down(mobile)` of SCSS. */
+export const mediaDown = {
+  mobile: "(max-width: 48em)",
+};
+
+/** Past the breakpoint, `@include up(mobile)` of SCSS. */
+export const mediaUp = {
+  mobile: "(min-width: 48.01em)",
+};
+
+export const base = {
+  "font-family": '"EuclidCircularA", sans-serif',
+  "content-width": 1920,
+  "container-width": {
+    value: "166.5rem",
+    mobile: "100%",
+  },
+  "container-offset": "4rem",
+};
+
+export const colors = {
+  "c-white": "#fff",
+  "c-bg": "#f3f3f3",
+  "c-primary": "#212121",
+  "c-secondary": "#e0e0e0",
+  "c-ternary": "#a7a7a7",
+  "c-quaternary": "#d2ccd5",
+  "c-accent": "#2ed36a",
+  "c-accent-secondary": "#ff3bcb",
+  "c-accent-ternary": "#be88ff",
+  "c-black": "#000",
+  "c-hover": "#cbb9d4",
+};
+
+export const props = {
+  "p-tr": "0.3s ease-out",
+  "p-zidx-secondary": 100,
+  "p-zidx-primary": 900,
+  "p-zidx-modal": 1000,
+};
+
+export const fonts = {
+  "txt-primary": {
+    value: "400 1.8rem / 100% var(--font-family)",
+    mobile: "400 3.6rem / 100% var(--font-family)",
+  },
+};
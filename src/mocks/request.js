@@ -0,0 +1,28 @@
+/**
+ * Dev server answer for the request form (partials/_request-modal.html).
+ * Mirrors the checks a real backend would do, so the 422 rendering can be tried out:
+ * send a name shorter than 3 letters or a phone with less than 11 digits.
+ */
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+export default {
+  "POST /api/request": ({ body, files }) => {
+    const errors = {};
+    const name = String(body.name || "").trim();
+    const digits = String(body.tel || "").replace(/\D/g, "");
+
+    if (name.length < 3) errors.name = "Укажите имя, минимум 3 символа";
+    if (digits.length < 11) errors.tel = "Укажите номер телефона полностью";
+    if (body.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) {
+      errors.email = "Неверный формат e-mail";
+    }
+    if (files.some((file) => file.size > MAX_FILE_SIZE)) {
+      errors.file = "Файл больше 10 МБ";
+    }
+
+    return Object.keys(errors).length
+      ? { status: 422, body: { errors } }
+      : { status: 200, body: { message: "Заявка отправлена" } };
+  },
+};
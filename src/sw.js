@@ -0,0 +1,125 @@
+/**
+ * Service worker, written to app/sw.js by the serviceWorker task (`serviceWorker` of
+ * persik.config.js), which replaces self.__SW_MANIFEST with
+ * { name, version, precache: ["css/main-9a8b7c6d5e.css", ..., "index.html"] }.
+ *
+ * - precached files: cache first; the pages: network first, the cached copy offline;
+ * - images and video/*: stale-while-revalidate, ranges of cached videos served from the cache;
+ * - a new version deletes the precache and media cache of the previous one on activation.
+ */
+
+const { name, version, precache } = self.__SW_MANIFEST;
+
+const PRECACHE = `${name}-precache-${version}`;
+const MEDIA = `${name}-media-${version}`;
+const IMAGE = /\.(avif|webp|png|jpe?g|gif|svg)$/i;
+
+const precached = new Set(
+  precache.map((url) => new URL(url, self.location).href)
+);
+
+const isMedia = (request, url) =>
+  request.destination === "image" ||
+  IMAGE.test(url.pathname) ||
+  url.pathname.includes("/video/");
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE)
+      .then((cache) => cache.addAll(precache))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(`${name}-`))
+            .filter((key) => key !== PRECACHE && key !== MEDIA)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheFirst = async (request) =>
+  (await caches.match(request, { cacheName: PRECACHE })) || fetch(request);
+
+const networkFirst = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const url = new URL(request.url);
+    if (url.pathname.endsWith("/")) url.pathname += "index.html";
+    const cached = await caches.match(url.href, {
+      cacheName: PRECACHE,
+      ignoreSearch: true,
+    });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+/** A 206 for `Range: bytes=from-to` cut out of a cached full response. */
+const rangeOf = async (request, response) => {
+  const [, from, to] =
+    /bytes=(\d*)-(\d*)/.exec(request.headers.get("range")) || [];
+  const body = await response.blob();
+  const start = from ? Number(from) : Math.max(body.size - Number(to), 0);
+  const end = from && to ? Math.min(Number(to), body.size - 1) : body.size - 1;
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "",
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${body.size}`,
+    },
+  });
+};
+
+// One refresh per file at a time: a playing video sends many range requests.
+const updating = new Map();
+
+const revalidate = (cache, url) => {
+  if (!updating.has(url)) {
+    // Always the full file: a 206 of a range request cannot be cached.
+    const update = fetch(url)
+      .then((response) => response.ok && cache.put(url, response))
+      .catch(() => {})
+      .finally(() => updating.delete(url));
+    updating.set(url, update);
+  }
+  return updating.get(url);
+};
+
+const staleWhileRevalidate = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(MEDIA);
+  const cached = await cache.match(request.url);
+
+  event.waitUntil(revalidate(cache, request.url));
+
+  if (!cached) return fetch(request);
+  return request.headers.has("range") ? rangeOf(request, cached) : cached;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (precached.has(url.href)) {
+    event.respondWith(cacheFirst(request));
+  } else if (isMedia(request, url)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});